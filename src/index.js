@@ -1,15 +1,24 @@
 import initCommands from "./initCommands.js";
-import initComponents from "./initComponents.js";
+import initComponents, {
+	getComponent,
+	getComponents,
+	getParentComponent,
+	whenComponent,
+} from "./initComponents.js";
 import lazy from "./lazy.js";
 import observeOpenShadowRoots from "./observeOpenShadowRoots.js";
 import observer from "./observer.js";
 import parseConfig from "./parseConfig.js";
 
 export {
+	getComponent,
+	getComponents,
+	getParentComponent,
 	initCommands,
 	initComponents,
 	lazy,
 	observeOpenShadowRoots,
 	observer,
 	parseConfig,
+	whenComponent,
 };
@@ -1,3 +1,5 @@
+import { getComponent } from "./initComponents.js";
+import observeOpenShadowRoots from "./observeOpenShadowRoots.js";
 import parseConfig from "./parseConfig.js";
 
 export const DEFAULT_ALLOWED_METHODS = new Set([
@@ -13,17 +15,857 @@ export const DEFAULT_ALLOWED_METHODS = new Set([
 	"showPopover",
 	"hidePopover",
 	"togglePopover",
+	"requestSubmit",
+	"reset",
+	"checkValidity",
+	"reportValidity",
 ]);
 
+// Form methods whose parameters are not config-shaped; they are called without arguments.
+const FORM_METHODS = new Set([
+	"requestSubmit",
+	"reset",
+	"checkValidity",
+	"reportValidity",
+]);
+
+/**
+ * Resolves the only argument a form method accepts: a `requestSubmit` submitter.
+ * @param {Element} form
+ * @param {string} action
+ * @param {any} config - `{ submitter }` as an element or a selector inside the form.
+ * @returns {Element[]}
+ */
+const getFormArgs = (form, action, config) => {
+	if (action !== "requestSubmit" || !config.submitter) return [];
+	const submitter =
+		typeof config.submitter === "string"
+			? form.querySelector(config.submitter)
+			: config.submitter;
+	return submitter instanceof Element ? [submitter] : [];
+};
+
+/**
+ * Inserts a node (or fragment) relative to an element, like `insertAdjacentElement`.
+ * @param {Element} el
+ * @param {string} position - beforebegin, afterbegin, beforeend or afterend.
+ * @param {Node} node
+ */
+const insertAdjacent = (el, position, node) => {
+	switch (position) {
+		case "beforebegin":
+			el.parentNode.insertBefore(node, el);
+			break;
+		case "afterbegin":
+			el.insertBefore(node, el.firstChild);
+			break;
+		case "afterend":
+			el.parentNode.insertBefore(node, el.nextSibling);
+			break;
+		default:
+			el.appendChild(node);
+	}
+};
+
+// Splits a space-separated list such as a class config.
+const splitTokens = (value) =>
+	typeof value === "string" ? value.split(/\s+/).filter(Boolean) : [];
+
+// Attributes the attribute built-ins may change by default. A trailing `*` matches a prefix.
+export const DEFAULT_ALLOWED_ATTRIBUTES = [
+	"aria-*",
+	"data-*",
+	"hidden",
+	"open",
+	"disabled",
+];
+
+/**
+ * Creates the `toggle-attribute` and `set-attribute` built-ins, limited to an allowlist so
+ * markup cannot write event handlers or URLs (`on*`, `href`, SVG `<set to>`...).
+ * @param {string[]} allowedAttributes - Attribute names, or prefixes ending with `*`.
+ * @returns {Record<string, Function>}
+ */
+const createAttributeCommands = (allowedAttributes) => {
+	const getAllowedAttribute = (name, command) => {
+		const lower = String(name).toLowerCase();
+		for (let i = 0, len = allowedAttributes.length; i < len; i++) {
+			const allowed = allowedAttributes[i].toLowerCase();
+			if (
+				allowed.endsWith("*")
+					? lower.startsWith(allowed.slice(0, -1))
+					: lower === allowed
+			) {
+				return name;
+			}
+		}
+		throw new Error(`[liveinit] ${command} cannot change "${name}".`);
+	};
+	return {
+		// config: { name: "hidden", force?: boolean }
+		"toggle-attribute": (target, config) => {
+			const name = getAllowedAttribute(config.name, "toggle-attribute");
+			if (typeof config.force === "boolean") {
+				target.toggleAttribute(name, config.force);
+			} else {
+				target.toggleAttribute(name);
+			}
+		},
+		// config: { name: "aria-expanded", value: "true" }
+		"set-attribute": (target, config) => {
+			target.setAttribute(
+				getAllowedAttribute(config.name, "set-attribute"),
+				config.value === undefined ? "" : String(config.value),
+			);
+		},
+	};
+};
+
+/**
+ * Built-in handlers for common DOM mutations, driven by the command config.
+ * Each one receives `(target, config, { trigger, event })` like any registered handler.
+ * @type {Record<string, (target: Element, config: any, context: { trigger: Element, event: Event }) => any>}
+ */
+export const BUILTIN_COMMANDS = {
+	// config: { class: "open active", force?: boolean }
+	"toggle-class": (target, config) => {
+		const classes = splitTokens(config.class);
+		for (let i = 0, len = classes.length; i < len; i++) {
+			if (typeof config.force === "boolean") {
+				target.classList.toggle(classes[i], config.force);
+			} else {
+				target.classList.toggle(classes[i]);
+			}
+		}
+	},
+	// config: { class: "open" }
+	"add-class": (target, config) => {
+		target.classList.add(...splitTokens(config.class));
+	},
+	// config: { class: "open" }
+	"remove-class": (target, config) => {
+		target.classList.remove(...splitTokens(config.class));
+	},
+	...createAttributeCommands(DEFAULT_ALLOWED_ATTRIBUTES),
+	"remove-element": (target) => {
+		target.remove();
+	},
+	// config: { template?: "#row-tpl", position?: "beforeend" }
+	// Without `template`, the target is the <template> and clones go before it.
+	"clone-template": (target, config, { trigger }) => {
+		let template = target;
+		let position = config.position || "beforebegin";
+		if (config.template) {
+			const rootNode = trigger.getRootNode();
+			template =
+				(rootNode.nodeType === 11 && rootNode.querySelector(config.template)) ||
+				document.querySelector(config.template);
+			position = config.position || "beforeend";
+		}
+		if (!template || template.tagName !== "TEMPLATE") {
+			throw new Error("[liveinit] clone-template requires a <template>.");
+		}
+		insertAdjacent(target, position, template.content.cloneNode(true));
+	},
+	// config: { text?: "..." }, defaults to the target's value or text content
+	"copy-text": (target, config) => {
+		const text =
+			config.text !== undefined
+				? String(config.text)
+				: typeof target.value === "string"
+					? target.value
+					: target.textContent || "";
+		if (!navigator.clipboard) {
+			throw new Error("[liveinit] Clipboard API is not available.");
+		}
+		return navigator.clipboard.writeText(text);
+	},
+};
+
+// Built-ins registered by default; `remove-element` and `clone-template` change the
+// document structure and must be opted into.
+const DEFAULT_BUILTINS = [
+	"toggle-class",
+	"add-class",
+	"remove-class",
+	"toggle-attribute",
+	"set-attribute",
+	"copy-text",
+];
+
+/**
+ * Picks the built-in handlers selected by the `builtins` option.
+ * @param {boolean|string[]|undefined} builtins
+ * @param {string[]} [allowedAttributes] - Replaces DEFAULT_ALLOWED_ATTRIBUTES for the attribute built-ins.
+ * @returns {Record<string, Function>}
+ */
+const getBuiltins = (builtins, allowedAttributes) => {
+	if (builtins === false) return {};
+	const available = allowedAttributes
+		? { ...BUILTIN_COMMANDS, ...createAttributeCommands(allowedAttributes) }
+		: BUILTIN_COMMANDS;
+	if (builtins === true) return available;
+	const names = Array.isArray(builtins) ? builtins : DEFAULT_BUILTINS;
+	// A Map lookup ignores inherited keys such as `constructor`.
+	const byName = new Map(Object.entries(available));
+	const selected = {};
+	for (let i = 0, len = names.length; i < len; i++) {
+		const handler = byName.get(names[i]);
+		if (handler) selected[names[i]] = handler;
+	}
+	return selected;
+};
+
+const OPENERS = { "(": ")", "[": "]", "{": "}" };
+
+/**
+ * Returns the index of the bracket closing the one opened at `start`,
+ * skipping over quoted strings and nested brackets. -1 when unbalanced.
+ * @param {string} str
+ * @param {number} start
+ * @returns {number}
+ */
+const findClosing = (str, start) => {
+	const stack = [];
+	let quote = "";
+	for (let i = start, len = str.length; i < len; i++) {
+		const char = str[i];
+		if (quote) {
+			if (char === "\\") i++;
+			else if (char === quote) quote = "";
+		} else if (char === "'" || char === '"') {
+			quote = char;
+		} else if (OPENERS[char]) {
+			stack.push(OPENERS[char]);
+		} else if (char === stack[stack.length - 1]) {
+			stack.pop();
+			if (!stack.length) return i;
+		}
+	}
+	return -1;
+};
+
+/**
+ * Splits a command value on whitespace, keeping bracketed or quoted
+ * segments (inline configs) intact.
+ * @param {string} str
+ * @returns {string[]}
+ */
+const tokenize = (str) => {
+	const tokens = [];
+	let token = "";
+	for (let i = 0, len = str.length; i < len; i++) {
+		const char = str[i];
+		if (OPENERS[char] || char === "'" || char === '"') {
+			const end =
+				char === "'" || char === '"'
+					? str.indexOf(char, i + 1)
+					: findClosing(str, i);
+			const stop = end === -1 ? len - 1 : end;
+			token += str.slice(i, stop + 1);
+			i = stop;
+		} else if (/\s/.test(char)) {
+			if (token) tokens.push(token);
+			token = "";
+		} else {
+			token += char;
+		}
+	}
+	if (token) tokens.push(token);
+	return tokens;
+};
+
+/**
+ * Parses a single step such as `close`, `focus@#name`, `app:saved(id: 5)`
+ * or `input->filter`. `event`, `config` and `target` are null when the step
+ * does not override them.
+ * @param {string} token
+ * @returns {{ event: string|null, action: string, config: string|null, target: string|null }}
+ */
+const parseStep = (token) => {
+	const step = { event: null, action: token, config: null, target: null };
+	let rest = token;
+
+	const arrow = rest.indexOf("->");
+	const head = /[(@]/.exec(rest);
+	if (arrow > 0 && (!head || arrow < head.index)) {
+		step.event = rest.slice(0, arrow);
+		rest = rest.slice(arrow + 2);
+	}
+
+	const match = /[(@]/.exec(rest);
+	step.action = match ? rest.slice(0, match.index) : rest;
+	if (!match) return step;
+
+	rest = rest.slice(match.index);
+	if (rest[0] === "(") {
+		const end = findClosing(rest, 0);
+		if (end === -1) return step;
+		step.config = rest.slice(1, end);
+		rest = rest.slice(end + 1);
+	}
+	if (rest[0] === "@" && rest.length > 1) {
+		step.target = rest.slice(1);
+	}
+	return step;
+};
+
+const KEY_ALIASES = {
+	esc: "escape",
+	space: " ",
+	up: "arrowup",
+	down: "arrowdown",
+	left: "arrowleft",
+	right: "arrowright",
+	del: "delete",
+	plus: "+",
+};
+
+// Default debounce/throttle wait in milliseconds.
+const DEFAULT_WAIT = 250;
+
+// Events that do not bubble are delegated in the capture phase, to their own target only.
+const NON_BUBBLING_EVENTS = new Set([
+	"mouseenter",
+	"mouseleave",
+	"pointerenter",
+	"pointerleave",
+	"focus",
+	"blur",
+	"toggle",
+	"load",
+	"error",
+]);
+
+// Focus and keyboard events keep their default action unless `.prevent` is given.
+const PASSIVE_EVENTS = new Set(["focusin", "focusout", "keydown", "keyup"]);
+
+// Keys pressed within this delay (ms) continue a hotkey sequence such as `g i`.
+const SEQUENCE_TIMEOUT = 1000;
+
+// `mod` is the command key on Apple platforms and control elsewhere.
+const IS_APPLE =
+	typeof navigator !== "undefined" &&
+	/Mac|iPhone|iPad|iPod/.test(
+		(navigator.userAgentData && navigator.userAgentData.platform) ||
+			navigator.platform ||
+			"",
+	);
+
+/**
+ * Parses a key combo such as `enter`, `esc`, `ctrl+shift+k` or `mod+k`.
+ * @param {string} combo
+ * @returns {{ key: string, ctrl: boolean, shift: boolean, alt: boolean, meta: boolean }}
+ */
+const parseKeyCombo = (combo) => {
+	const parsed = {
+		key: "",
+		ctrl: false,
+		shift: false,
+		alt: false,
+		meta: false,
+	};
+	const parts = combo.toLowerCase().split("+");
+	for (let i = 0, len = parts.length; i < len; i++) {
+		const part = parts[i];
+		if (part === "ctrl" || part === "control") parsed.ctrl = true;
+		else if (part === "shift") parsed.shift = true;
+		else if (part === "alt" || part === "option") parsed.alt = true;
+		else if (part === "meta" || part === "cmd") parsed.meta = true;
+		else if (part === "mod") parsed[IS_APPLE ? "meta" : "ctrl"] = true;
+		else parsed.key = KEY_ALIASES[part] || part;
+	}
+	return parsed;
+};
+
+/**
+ * Checks a KeyboardEvent against a parsed key combo. Modifier keys must match exactly,
+ * except shift for single non-letter characters (`?` needs shift on most layouts).
+ * @param {KeyboardEvent} event
+ * @param {ReturnType<typeof parseKeyCombo>} combo
+ * @returns {boolean}
+ */
+const matchesKey = (event, combo) => {
+	const key = typeof event.key === "string" ? event.key.toLowerCase() : "";
+	if (key !== combo.key) return false;
+	const ignoreShift = key.length === 1 && key.toUpperCase() === key;
+	return (
+		!!event.ctrlKey === combo.ctrl &&
+		!!event.altKey === combo.alt &&
+		!!event.metaKey === combo.meta &&
+		(ignoreShift || !!event.shiftKey === combo.shift)
+	);
+};
+
+/**
+ * Parses a hotkey attribute value: comma-separated alternatives, each one a
+ * space-separated sequence of key combos (`mod+k, g i`).
+ * @param {string} value
+ * @returns {ReturnType<typeof parseKeyCombo>[][]}
+ */
+const parseHotkeys = (value) =>
+	value
+		.split(",")
+		.map((sequence) => sequence.trim())
+		.filter(Boolean)
+		.map((sequence) => sequence.split(/\s+/).map(parseKeyCombo));
+
+/**
+ * Tells whether keyboard input currently goes to an editable element.
+ * @param {Element|undefined} el
+ * @returns {boolean}
+ */
+const isEditable = (el) =>
+	!!el &&
+	(el.isContentEditable ||
+		/^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName) ||
+		(typeof el.closest === "function" && !!el.closest("[contenteditable]")));
+
+/**
+ * Parses an event descriptor such as `click`, `keydown.enter.prevent`, `click.outside`
+ * or `input.debounce.300`. Unknown modifiers are key filters, any of which must match.
+ * @param {string} descriptor
+ * @returns {{ type: string, keys: ReturnType<typeof parseKeyCombo>[], once: boolean, stop: boolean, prevent: boolean|null, self: boolean, outside: boolean, limit: { mode: string, wait: number, leading: boolean, trailing: boolean }|null }}
+ */
+const parseEventDescriptor = (descriptor) => {
+	const parts = descriptor.split(".");
+	const parsed = {
+		type: parts[0],
+		keys: [],
+		once: false,
+		stop: false,
+		prevent: null,
+		self: false,
+		outside: false,
+		limit: null,
+	};
+	let leading = false;
+	let trailing = false;
+	for (let i = 1, len = parts.length; i < len; i++) {
+		const modifier = parts[i];
+		if (!modifier) continue;
+		switch (modifier) {
+			case "once":
+			case "stop":
+			case "self":
+			case "outside":
+				parsed[modifier] = true;
+				break;
+			case "prevent":
+				parsed.prevent = true;
+				break;
+			case "noprevent":
+				parsed.prevent = false;
+				break;
+			case "debounce":
+			case "throttle": {
+				parsed.limit = {
+					mode: modifier,
+					wait: DEFAULT_WAIT,
+					leading: false,
+					trailing: false,
+				};
+				const wait = /^(\d+)(ms|s)?$/.exec(parts[i + 1] || "");
+				if (wait) {
+					parsed.limit.wait = Number(wait[1]) * (wait[2] === "s" ? 1000 : 1);
+					i++;
+				}
+				break;
+			}
+			case "leading":
+				leading = true;
+				break;
+			case "trailing":
+				trailing = true;
+				break;
+			default:
+				parsed.keys.push(parseKeyCombo(modifier));
+		}
+	}
+	if (parsed.limit) {
+		// Without explicit edges: debounce runs on the trailing edge, throttle on both.
+		const explicit = leading || trailing;
+		parsed.limit.leading = explicit
+			? leading
+			: parsed.limit.mode === "throttle";
+		parsed.limit.trailing = explicit ? trailing : true;
+	}
+	return parsed;
+};
+
+/**
+ * Returns the parent element, crossing shadow root boundaries to the host.
+ * @param {Element} el
+ * @returns {Element|null}
+ */
+const parentOf = (el) => {
+	if (el.parentElement) return el.parentElement;
+	const root = typeof el.getRootNode === "function" ? el.getRootNode() : null;
+	return root && root.host ? root.host : null;
+};
+
+// Named checks for triggers that must not run commands. Other entries are used as selectors.
+const BLOCKERS = {
+	disabled: "[disabled]",
+	inert: "[inert]",
+	"aria-disabled": '[aria-disabled="true"]',
+};
+
+/**
+ * Finds the first check blocking the trigger, looking at the trigger and its
+ * ancestors across shadow root boundaries.
+ * @param {Element} trigger
+ * @param {string[]} checks
+ * @param {(el: Element, check: string) => boolean} ignore - Skips matches the engine caused itself.
+ * @returns {{ reason: string, element: Element }|null}
+ */
+const findBlocker = (trigger, checks, ignore) => {
+	for (let el = trigger; el; el = parentOf(el)) {
+		for (let i = 0, len = checks.length; i < len; i++) {
+			const check = checks[i];
+			if (el.matches(BLOCKERS[check] || check) && !ignore(el, check)) {
+				return { reason: check, element: el };
+			}
+		}
+	}
+	return null;
+};
+
+/**
+ * Returns the elements an event travelled through, innermost first. Uses
+ * `composedPath()` so that elements inside open shadow roots are included.
+ * @param {Event} event
+ * @returns {Element[]}
+ */
+const getEventPath = (event) => {
+	const path = [];
+	const composed =
+		typeof event.composedPath === "function" ? event.composedPath() : [];
+	if (composed.length) {
+		for (let i = 0, len = composed.length; i < len; i++) {
+			if (composed[i].nodeType === 1) path.push(composed[i]);
+		}
+		return path;
+	}
+	// The composed path is empty outside of dispatch, walk up from the target instead.
+	for (let node = event.target; node; node = parentOf(node)) {
+		if (node.nodeType === 1) path.push(node);
+	}
+	return path;
+};
+
+/**
+ * Reads a nested property path from a value, stopping at null or undefined.
+ * @param {any} value
+ * @param {string[]} path
+ * @returns {any}
+ */
+const readPath = (value, path) => {
+	let current = value;
+	for (let i = 0, len = path.length; i < len; i++) {
+		if (current === null || current === undefined) return undefined;
+		current = current[path[i]];
+	}
+	return current;
+};
+
+/**
+ * Returns the FormData of the trigger's form (or of the trigger itself if it is one).
+ * @param {Element} trigger
+ * @returns {FormData|null}
+ */
+const getFormData = (trigger) => {
+	const form =
+		trigger.tagName === "FORM"
+			? trigger
+			: trigger.form || trigger.closest("form");
+	return form ? new FormData(form) : null;
+};
+
+/**
+ * Returns the submitted form of a submit event, or null for other events.
+ * @param {Event} event
+ * @returns {HTMLFormElement|null}
+ */
+const getSubmittedForm = (event) =>
+	event.type === "submit" && event.target && event.target.tagName === "FORM"
+		? event.target
+		: null;
+
+/**
+ * Collects the FormData of a submit event, including the submitter's name/value.
+ * @param {Event} event
+ * @returns {FormData|null}
+ */
+const getSubmitData = (event) => {
+	const form = getSubmittedForm(event);
+	if (!form) return null;
+	const data = new FormData(form);
+	const submitter = event.submitter;
+	if (submitter && submitter.name) data.append(submitter.name, submitter.value);
+	return data;
+};
+
+/**
+ * Runs `reportValidity()` on a submitted form unless validation is disabled
+ * by `novalidate` on the form or `formnovalidate` on the submitter.
+ * @param {Event} event
+ * @returns {boolean} false when the form is invalid.
+ */
+const reportSubmitValidity = (event) => {
+	const form = getSubmittedForm(event);
+	if (!form || form.noValidate || typeof form.reportValidity !== "function") {
+		return true;
+	}
+	const submitter = event.submitter;
+	if (submitter && submitter.formNoValidate) return true;
+	return form.reportValidity();
+};
+
+/**
+ * Replaces `$` placeholders in a parsed config with values read at dispatch time:
+ * `$value`, `$checked`, `$data.key` and `$form` read the trigger, `$event.path`,
+ * `$trigger.path` and `$target.path` read any property. `$$` escapes a literal `$`.
+ * Unknown placeholders are left untouched.
+ * @param {any} value
+ * @param {{ event: Event, trigger: Element, target: Element }} context
+ * @returns {any}
+ */
+const bindPlaceholders = (value, context) => {
+	if (typeof value === "string") {
+		if (value[0] !== "$") return value;
+		if (value[1] === "$") return value.slice(1);
+		const path = value.slice(1).split(".");
+		const source = path.shift();
+		switch (source) {
+			case "value":
+			case "checked":
+				return readPath(context.trigger[source], path);
+			case "data":
+				return readPath(context.trigger.dataset, path);
+			case "form":
+				return getFormData(context.trigger);
+			case "event":
+			case "trigger":
+			case "target":
+				return readPath(context[source], path);
+			default:
+				return value;
+		}
+	}
+	if (Array.isArray(value)) {
+		return value.map((item) => bindPlaceholders(item, context));
+	}
+	if (value && typeof value === "object") {
+		const bound = {};
+		const keys = Object.keys(value);
+		for (let i = 0, len = keys.length; i < len; i++) {
+			bound[keys[i]] = bindPlaceholders(value[keys[i]], context);
+		}
+		return bound;
+	}
+	return value;
+};
+
+/**
+ * Collects the siblings of `el` in one direction, optionally filtered by a selector.
+ * @param {Element} el
+ * @param {boolean} forward
+ * @param {string} selector
+ * @param {boolean} all
+ * @returns {Element[]}
+ */
+const siblings = (el, forward, selector, all) => {
+	const found = [];
+	let sibling = forward ? el.nextElementSibling : el.previousElementSibling;
+	while (sibling) {
+		if (!selector || sibling.matches(selector)) {
+			found.push(sibling);
+			if (!all) break;
+		}
+		sibling = forward
+			? sibling.nextElementSibling
+			: sibling.previousElementSibling;
+	}
+	return found;
+};
+
+/**
+ * Resolves a `data-command-for` reference into target elements.
+ * Supports plain selectors (trigger's root node, then document), `closest:sel`, `find:sel` (inside the trigger),
+ * `component[:sel]` (nearest component root), `next[:sel]` and `prev[:sel]`.
+ * An `all:` prefix returns every match instead of the first one. An element reference is used as is.
+ * @param {Element} trigger
+ * @param {string|Element|null} ref
+ * @param {string} componentSelector
+ * @returns {Element[]}
+ */
+const resolveTargets = (trigger, ref, componentSelector) => {
+	if (!ref) return [trigger];
+	if (typeof ref !== "string") return [ref];
+	let query = ref.trim();
+	const all = query.startsWith("all:");
+	if (all) query = query.slice(4);
+
+	const colon = query.indexOf(":");
+	const scope = colon === -1 ? query : query.slice(0, colon);
+	const selector = colon === -1 ? "" : query.slice(colon + 1).trim();
+	const select = (scopeRoot, sel) =>
+		all
+			? Array.prototype.slice.call(scopeRoot.querySelectorAll(sel))
+			: [scopeRoot.querySelector(sel)];
+
+	let targets;
+	try {
+		switch (scope) {
+			case "closest":
+				targets = [trigger.closest(selector)];
+				break;
+			case "find":
+				targets = select(trigger, selector);
+				break;
+			case "component": {
+				let host = null;
+				for (let el = trigger; el && !host; el = parentOf(el)) {
+					if (el.matches(componentSelector)) host = el;
+				}
+				// Triggers rendered in the component's own shadow root query that tree.
+				const scopeRoot =
+					host && host.shadowRoot === trigger.getRootNode()
+						? host.shadowRoot
+						: host;
+				targets = !host ? [] : selector ? select(scopeRoot, selector) : [host];
+				break;
+			}
+			case "next":
+			case "prev":
+				targets = siblings(trigger, scope === "next", selector, all);
+				break;
+			default: {
+				// Inside a shadow tree, look next to the trigger first.
+				const rootNode = trigger.getRootNode();
+				targets =
+					rootNode.nodeType === 11
+						? select(rootNode, query).filter(Boolean)
+						: [];
+				if (!targets.length) targets = select(document, query);
+			}
+		}
+	} catch (_e) {
+		return [];
+	}
+	return targets.filter(Boolean);
+};
+
+// Built-in invoker commands and the methods the polyfill calls for them.
+const NATIVE_COMMANDS = {
+	"show-modal": "showModal",
+	close: "close",
+	"request-close": "requestClose",
+	"toggle-popover": "togglePopover",
+	"show-popover": "showPopover",
+	"hide-popover": "hidePopover",
+};
+
+// Custom invoker commands run like a click binding that keeps the command event.
+const INVOKER_EVENT = parseEventDescriptor("command.noprevent");
+
+/**
+ * Keeps the elements matching a selector in the observed roots, so delegated events do not
+ * query the whole document. Roots are scanned once, then updated from mutation records.
+ * @param {string} selector
+ * @param {string[]} attributeFilter - Attributes whose changes can make an element match.
+ * @returns {{ observe: (root: Document|ShadowRoot) => void, get: () => Set<Element>, disconnect: () => void }}
+ */
+const trackMatches = (selector, attributeFilter) => {
+	/** @type {Set<Element>} */
+	const matches = new Set();
+	const add = (node) => {
+		if (node.nodeType !== 1) return;
+		if (node.matches(selector)) matches.add(node);
+		const found = node.querySelectorAll(selector);
+		for (let i = 0, len = found.length; i < len; i++) matches.add(found[i]);
+	};
+	const update = (records) => {
+		for (let i = 0, len = records.length; i < len; i++) {
+			const record = records[i];
+			if (record.type === "attributes") {
+				if (record.target.matches(selector)) matches.add(record.target);
+				else matches.delete(record.target);
+				continue;
+			}
+			const added = record.addedNodes;
+			for (let j = 0, aLen = added.length; j < aLen; j++) add(added[j]);
+		}
+	};
+	const observer = new MutationObserver(update);
+	return {
+		observe(root) {
+			const found = root.querySelectorAll(selector);
+			for (let i = 0, len = found.length; i < len; i++) matches.add(found[i]);
+			observer.observe(root, {
+				childList: true,
+				subtree: true,
+				attributes: true,
+				attributeFilter,
+			});
+		},
+		get() {
+			// Records not delivered yet still count, e.g. markup inserted in the same task.
+			update(observer.takeRecords());
+			matches.forEach((el) => {
+				if (!el.isConnected) matches.delete(el);
+			});
+			return matches;
+		},
+		disconnect() {
+			observer.disconnect();
+			matches.clear();
+		},
+	};
+};
+
+// Browsers implementing Invoker Commands expose `commandForElement` on buttons.
+const supportsInvokers = () =>
+	typeof HTMLButtonElement !== "undefined" &&
+	"commandForElement" in HTMLButtonElement.prototype;
+
 /**
  * Initializes the global command event delegator.
  * @param {Object} [options={}]
  * @param {string} [options.attribute="data-command"] - The HTML attribute used for the command action.
- * @param {string[]} [options.events=["click", "change", "input", "submit", "focusin", "focusout"]] - The array of bubbling events to listen for.
+ * @param {string[]} [options.events=["click", "change", "input", "submit", "focusin", "focusout", "keydown", "keyup"]] - The array of bubbling events to listen for.
  * @param {string[]} [options.allowedMethods] - Optional list of allowed methods (defaults to DEFAULT_ALLOWED_METHODS).
- * Command resolution is method-first: if target[action] is a function and is allowed it is called.
- * Otherwise a namespaced CustomEvent ("{prefix}:{action}") is dispatched on target.
- * @returns {{ disconnect: () => void }} Disconnects all event listeners registered by this init call.
+ * @param {Record<string, string[]>} [options.policy] - Per-element allowlist mapping selectors (`dialog`, `[popover]`, `*`) to methods and handler names; replaces `allowedMethods`.
+ * @param {(trigger: Element, target: Element, action: string) => boolean} [options.guard] - Returning false denies the command.
+ * @param {Record<string, Function>} [options.commands] - Named handlers `(target, config, { trigger, event, data })`, checked before methods and events.
+ * @param {(message: string, context: { trigger: Element, event: Event }) => boolean|Promise<boolean>} [options.confirm] - Asks for confirmation of `data-command-confirm` triggers (defaults to `window.confirm`).
+ * @param {boolean|string[]} [options.builtins] - BUILTIN_COMMANDS to register: a list of names, `true` for all or `false` for none. Defaults to all but `remove-element` and `clone-template`.
+ * @param {string[]} [options.allowedAttributes] - Attributes `set-attribute` and `toggle-attribute` may change (defaults to DEFAULT_ALLOWED_ATTRIBUTES, `prefix-*` allowed).
+ * @param {string} [options.componentAttribute="data-component"] - The attribute marking component roots for `component:` targets.
+ * @param {string[]|false} [options.blockedBy=["disabled", "inert", "aria-disabled"]] - Checks (or selectors) that skip a trigger when it or an ancestor matches.
+ * @param {boolean} [options.invokers=false] - Handles native `command`/`commandfor` invokers, polyfilled where missing.
+ * The attribute holds whitespace-separated steps (`close@#dlg focus@#name app:saved`) run in order;
+ * a step that throws, has no target, is cancelled or is denied stops the sequence.
+ * Steps bind to the `data-command-on` events (default "click") or their own `event->action`
+ * descriptor, with dot modifiers such as `keydown.enter`, `once`, `outside` or `input.debounce.300`.
+ * `data-command-for` takes selectors or relative references (`closest:.row`, `component:.title`,
+ * `next`, `all:.item`); config values like `$value` or `$data.id` are resolved per target.
+ * Each step is checked by `guard` (returning false or throwing denies it), then runs a registered
+ * handler, a `name#method` the nearest component lists in its static `commands`, an allowed method,
+ * or else dispatches a "{prefix}:{action}" CustomEvent on the target. A `policy` covers handlers,
+ * component methods and methods alike; denied steps dispatch `{prefix}:denied` on the trigger.
+ * Handlers and methods run between a cancelable `{prefix}:before` and a `{prefix}:after` or
+ * `{prefix}:error` event; while a returned promise is pending the trigger is `aria-busy` (and `disabled` if it supports it).
+ * Blocked triggers (`disabled`, `inert`, `aria-disabled="true"`) dispatch `{prefix}:blocked`,
+ * `data-command-confirm` must be confirmed first, and a submitted form must pass `reportValidity()`
+ * (its FormData, with the submitter, is sent as `detail.data`).
+ * Triggers in open shadow roots are found through `composedPath()`; `data-command-hotkey="mod+k, g i"`
+ * runs the trigger's click steps from the delegated keydown event.
+ * @returns {{ register: (name: string, handler: Function) => () => void, unregister: (name: string) => boolean, listen: (type: string) => boolean, unlisten: (type: string) => boolean, disconnect: () => void }}
+ * `register`/`unregister` manage named handlers, `listen`/`unlisten` add or remove a delegated event type
+ * (false when nothing changed; undelegated `data-command-on` events log a warning) and `disconnect`
+ * removes this engine's listeners and pending timers.
  */
 export default function initCommands(options = {}) {
 	const attribute = options.attribute || "data-command";
@@ -31,6 +873,9 @@ export default function initCommands(options = {}) {
 	const commandOnAttr = `${attribute}-on`;
 	const commandForAttr = `${attribute}-for`;
 	const commandConfigAttr = `${attribute}-config`;
+	const commandConfirmAttr = `${attribute}-confirm`;
+	const commandHotkeyAttr = `${attribute}-hotkey`;
+	const componentSelector = `[${options.componentAttribute || "data-component"}]`;
 
 	const events = options.events || [
 		"click",
@@ -39,89 +884,858 @@ export default function initCommands(options = {}) {
 		"submit",
 		"focusin",
 		"focusout",
+		"keydown",
+		"keyup",
 	];
 
 	const allowed = options.allowedMethods
 		? new Set(options.allowedMethods)
 		: DEFAULT_ALLOWED_METHODS;
 
+	// [selector, Set<method>] pairs, checked against each target.
+	const policy = options.policy
+		? Object.keys(options.policy).map((selector) => [
+				selector,
+				new Set(options.policy[selector]),
+			])
+		: null;
+	const guard = options.guard;
+
+	/**
+	 * Whether the method may be called on this target.
+	 * @returns {boolean|null} null when the policy does not list the method at all.
+	 */
+	const isAllowed = (target, action) => {
+		if (!policy) return allowed.has(action) || null;
+		let listed = null;
+		for (let i = 0, len = policy.length; i < len; i++) {
+			const [selector, methods] = policy[i];
+			if (!methods.has(action)) continue;
+			if (selector === "*" || target.matches(selector)) return true;
+			listed = false;
+		}
+		return listed;
+	};
+
+	/**
+	 * Runs the guard; one that throws denies the command instead of breaking the listener.
+	 * @returns {boolean}
+	 */
+	const passesGuard = (trigger, target, action) => {
+		try {
+			return Boolean(guard(trigger, target, action));
+		} catch (err) {
+			console.error(err);
+			return false;
+		}
+	};
+
+	const blockedBy =
+		options.blockedBy === false
+			? []
+			: options.blockedBy || ["disabled", "inert", "aria-disabled"];
+
+	const confirmCommand =
+		options.confirm || ((message) => window.confirm(message));
+
+	/** @type {Map<string, Function>} */
+	const handlers = new Map(
+		Object.entries({
+			...getBuiltins(options.builtins, options.allowedAttributes),
+			...options.commands,
+		}),
+	);
+
+	// Bindings pair each step with one parsed event descriptor. They are cached per
+	// trigger until its attributes change, and `once` is tracked by binding identity.
+	// Keying by trigger keeps per-row configs (`delete(id: 123)`) from piling up.
+	/** @type {WeakMap<Element, { key: string, bindings: any[] }>} */
+	const bindingCache = new WeakMap();
+	const getBindings = (trigger) => {
+		const value = trigger.getAttribute(attribute); // e.g., "refresh"
+		if (!value) return [];
+		const on = trigger.getAttribute(commandOnAttr) || "click";
+		const key = `${on}\n${value}`;
+		const cached = bindingCache.get(trigger);
+		if (cached && cached.key === key) return cached.bindings;
+
+		const bindings = [];
+		const defaultEvents = on.trim().split(/\s+/).map(parseEventDescriptor);
+		const steps = tokenize(value).map(parseStep);
+		for (let i = 0, len = steps.length; i < len; i++) {
+			const step = steps[i];
+			const descriptors = step.event
+				? [parseEventDescriptor(step.event)]
+				: defaultEvents;
+			for (let j = 0, dLen = descriptors.length; j < dLen; j++) {
+				bindings.push({ event: descriptors[j], step });
+				warnUndelegated(descriptors[j].type);
+			}
+		}
+		bindingCache.set(trigger, { key, bindings });
+		return bindings;
+	};
+
+	// Delegated event types, kept in sync with the document listeners.
+	const listening = new Set();
+	const warnedEvents = new Set();
+	const warnUndelegated = (type) => {
+		if (listening.has(type) || warnedEvents.has(type)) return;
+		warnedEvents.add(type);
+		console.warn(
+			`[liveinit] '${type}' commands never run: the event is not delegated. Add it to the 'events' option or call listen('${type}').`,
+		);
+	};
+
+	const usedOnce = new WeakMap();
+
+	/**
+	 * Returns the bindings of a trigger matching the event, in declaration order.
+	 */
+	const getMatches = (trigger, event, path, outside) => {
+		const bindings = getBindings(trigger);
+		const used = usedOnce.get(trigger);
+		const matches = [];
+		for (let i = 0, len = bindings.length; i < len; i++) {
+			const binding = bindings[i];
+			const descriptor = binding.event;
+			if (descriptor.type !== event.type || descriptor.outside !== outside) {
+				continue;
+			}
+			if (descriptor.self && path[0] !== trigger) continue;
+			if (used && used.has(binding)) continue;
+			if (descriptor.keys.length) {
+				let keyMatch = false;
+				for (let j = 0, kLen = descriptor.keys.length; j < kLen; j++) {
+					if (matchesKey(event, descriptor.keys[j])) {
+						keyMatch = true;
+						break;
+					}
+				}
+				if (!keyMatch) continue;
+			}
+			matches.push(binding);
+		}
+		return matches;
+	};
+
+	/**
+	 * Runs one step of a command sequence on every resolved target.
+	 * @returns {boolean|Promise<boolean>} false when the sequence must stop.
+	 */
+	const runStep = (action, selector, config, trigger, event) => {
+		if (!action) return false;
+
+		const targets = resolveTargets(trigger, selector, componentSelector);
+		if (!targets.length) return false;
+
+		let proceed = true;
+		const pending = [];
+		for (let i = 0, len = targets.length; i < len; i++) {
+			const target = targets[i];
+			const bound = bindPlaceholders(config, { event, trigger, target });
+			const result = invoke(action, target, bound, trigger, event);
+			if (result === false) proceed = false;
+			else if (result !== true) pending.push(result);
+		}
+		if (!pending.length) return proceed;
+		return Promise.all(pending).then(
+			(results) => proceed && results.indexOf(false) === -1,
+		);
+	};
+
+	/**
+	 * Calls the registered handler or the allowed method, or dispatches the command event on one target.
+	 * @returns {boolean|Promise<boolean>} false when the call threw or the event was cancelled.
+	 */
+	const invoke = (action, target, config, trigger, event) => {
+		if (guard && !passesGuard(trigger, target, action)) {
+			return deny(action, target, config, trigger, event, "guard");
+		}
+
+		const handler = handlers.get(action);
+		const hash = action.indexOf("#");
+		// Handlers and component methods must be listed by the policy, unlike events.
+		if ((handler || hash > 0) && policy && !isAllowed(target, action)) {
+			return deny(action, target, config, trigger, event, "policy");
+		}
+
+		if (handler) {
+			return call(action, target, config, trigger, event, true, () =>
+				handler(target, config, { trigger, event, data: getSubmitData(event) }),
+			);
+		}
+
+		if (hash > 0) {
+			return invokeComponent(action, hash, target, config, trigger, event);
+		}
+
+		const isExplicitEvent = action.includes(":");
+		const permission = isExplicitEvent ? null : isAllowed(target, action);
+		const maybeMethod = permission ? target[action] : null;
+
+		if (permission === false && typeof target[action] === "function") {
+			return deny(action, target, config, trigger, event, "policy");
+		}
+
+		if (typeof maybeMethod === "function") {
+			const args = FORM_METHODS.has(action)
+				? getFormArgs(target, action, config)
+				: Array.isArray(config.args)
+					? config.args
+					: Object.keys(config).length > 0
+						? [config]
+						: [];
+			return call(action, target, config, trigger, event, false, () =>
+				maybeMethod.apply(target, args),
+			);
+		}
+
+		const eventName = isExplicitEvent ? action : `${eventPrefix}:${action}`;
+
+		// Listeners may call preventDefault() to stop the remaining steps.
+		return target.dispatchEvent(
+			new CustomEvent(eventName, {
+				detail: {
+					originalEvent: event,
+					config,
+					trigger,
+					data: getSubmitData(event),
+				},
+				bubbles: true,
+				cancelable: true,
+			}),
+		);
+	};
+
+	/**
+	 * Calls `name#method` on the nearest component instance named `name`, starting
+	 * from the target. The method must be listed in the class' static `commands`.
+	 * @returns {boolean|Promise<boolean>}
+	 */
+	const invokeComponent = (action, hash, target, config, trigger, event) => {
+		const name = action.slice(0, hash);
+		const method = action.slice(hash + 1);
+		let instance = null;
+		for (let host = target; host && !instance; host = parentOf(host)) {
+			instance = getComponent(host, name);
+		}
+
+		const exposed = instance && instance.constructor.commands;
+		if (
+			!Array.isArray(exposed) ||
+			exposed.indexOf(method) === -1 ||
+			typeof instance[method] !== "function"
+		) {
+			console.warn(
+				`[liveinit] No live '${name}' component exposing '${method}' for command '${action}'.`,
+			);
+			return false;
+		}
+
+		return call(action, target, config, trigger, event, false, () =>
+			instance[method](config, { trigger, event, target }),
+		);
+	};
+
+	/**
+	 * Reports a command that was not run with a `{prefix}:denied` event on the trigger.
+	 * @param {"guard"|"policy"} reason
+	 * @returns {false}
+	 */
+	const deny = (action, target, config, trigger, event, reason) => {
+		emit(
+			trigger,
+			"denied",
+			{ action, target, config, trigger, reason, originalEvent: event },
+			false,
+		);
+		return false;
+	};
+
+	/**
+	 * Dispatches a `{prefix}:{name}` lifecycle event on the trigger.
+	 * @returns {boolean} false when a listener cancelled it.
+	 */
+	const emit = (trigger, name, detail, cancelable) =>
+		trigger.dispatchEvent(
+			new CustomEvent(`${eventPrefix}:${name}`, {
+				detail,
+				bubbles: true,
+				cancelable,
+			}),
+		);
+
+	/**
+	 * Runs a handler or method between a cancelable `{prefix}:before` and a
+	 * `{prefix}:after` or `{prefix}:error` event. Promise results are awaited.
+	 * Only handlers can stop a sequence by returning false.
+	 * @returns {boolean|Promise<boolean>}
+	 */
+	const call = (action, target, config, trigger, event, isHandler, fn) => {
+		const detail = { action, target, config, trigger, originalEvent: event };
+		if (!emit(trigger, "before", detail, true)) return false;
+
+		const done = (result) => {
+			emit(trigger, "after", { ...detail, result }, false);
+			return !isHandler || result !== false;
+		};
+		const fail = (error) => {
+			console.error(error);
+			emit(trigger, "error", { ...detail, error }, false);
+			return false;
+		};
+
+		let result;
+		try {
+			result = fn();
+		} catch (err) {
+			return fail(err);
+		}
+		if (result && typeof result.then === "function") {
+			return result.then(done, fail);
+		}
+		return done(result);
+	};
+
+	// Triggers waiting for an async confirmation.
+	const confirming = new WeakSet();
+
+	/**
+	 * Skips blocked triggers, then asks for confirmation when the trigger has a
+	 * `data-command-confirm` message, before any default action is prevented or
+	 * any step runs. Submitted forms are validated first.
+	 */
+	const runBindings = (trigger, bindings, event, outside) => {
+		// Busy triggers are disabled by us and ignore repeats on their own.
+		const blocker =
+			blockedBy.length && !busy.has(trigger)
+				? findBlocker(trigger, blockedBy, isBusyDisabled)
+				: null;
+		if (blocker) {
+			// Outside bindings are skipped silently, they would report every click.
+			if (!outside) {
+				emit(
+					trigger,
+					"blocked",
+					{ trigger, ...blocker, originalEvent: event },
+					false,
+				);
+			}
+			return;
+		}
+
+		// Form mode: invalid submissions are cancelled before asking anything.
+		if (!reportSubmitValidity(event)) {
+			event.preventDefault();
+			return;
+		}
+
+		const message = trigger.getAttribute(commandConfirmAttr);
+		if (!message || busy.has(trigger)) {
+			activate(trigger, bindings, event, outside);
+			return;
+		}
+		if (confirming.has(trigger)) {
+			event.preventDefault();
+			return;
+		}
+
+		let answer;
+		try {
+			answer = confirmCommand(message, { trigger, event });
+		} catch (err) {
+			console.error(err);
+			answer = false;
+		}
+
+		if (answer && typeof answer.then === "function") {
+			// The native default action cannot wait for an async answer.
+			event.preventDefault();
+			confirming.add(trigger);
+			answer
+				.then(
+					(confirmed) => {
+						if (confirmed) activate(trigger, bindings, event, outside);
+					},
+					(err) => console.error(err),
+				)
+				.then(() => confirming.delete(trigger));
+			return;
+		}
+
+		if (answer) {
+			activate(trigger, bindings, event, outside);
+		} else {
+			event.preventDefault();
+		}
+	};
+
+	// Events whose default action was only prevented because a binding matched, without `.prevent`.
+	const preventedByDefault = new WeakSet();
+
+	/**
+	 * Applies the modifiers of the matched bindings, then runs their steps in order.
+	 */
+	const activate = (trigger, bindings, event, outside) => {
+		let prevent = false;
+		let forced = false;
+		let stop = false;
+		for (let i = 0, len = bindings.length; i < len; i++) {
+			const binding = bindings[i];
+			const descriptor = binding.event;
+			if (descriptor.prevent === true) forced = true;
+			if (
+				descriptor.prevent !== null
+					? descriptor.prevent
+					: !outside && !PASSIVE_EVENTS.has(descriptor.type)
+			) {
+				prevent = true;
+			}
+			if (descriptor.stop) stop = true;
+			if (descriptor.once) {
+				let used = usedOnce.get(trigger);
+				if (!used) {
+					used = new Set();
+					usedOnce.set(trigger, used);
+				}
+				used.add(binding);
+			}
+		}
+
+		// Prevent Default handles submit, links, and changes correctly usually
+		if (prevent) {
+			event.preventDefault();
+			if (!forced) preventedByDefault.add(event);
+		}
+		if (stop) event.stopPropagation();
+
+		// Rate-limited bindings are grouped per descriptor, the others run right away.
+		const immediate = [];
+		const limited = new Map();
+		for (let i = 0, len = bindings.length; i < len; i++) {
+			const binding = bindings[i];
+			if (!binding.event.limit) {
+				immediate.push(binding.step);
+				continue;
+			}
+			const group = limited.get(binding.event);
+			if (group) group.push(binding.step);
+			else limited.set(binding.event, [binding.step]);
+		}
+
+		if (immediate.length) runSteps(trigger, immediate, event);
+		limited.forEach((steps, descriptor) => {
+			schedule(trigger, descriptor, steps, event);
+		});
+	};
+
+	// Pending debounce/throttle timers: trigger -> descriptor -> state.
+	const timers = new Map();
+
+	/**
+	 * Debounces or throttles a group of steps per trigger, running them with the
+	 * latest event on the configured leading/trailing edges.
+	 */
+	const schedule = (trigger, descriptor, steps, event) => {
+		const { mode, wait, leading, trailing } = descriptor.limit;
+		let states = timers.get(trigger);
+		if (!states) {
+			states = new Map();
+			timers.set(trigger, states);
+		}
+		let state = states.get(descriptor);
+		const isIdle = !state;
+		if (!state) {
+			state = { timer: null, event: null };
+			states.set(descriptor, state);
+		}
+
+		const release = () => {
+			states.delete(descriptor);
+			if (!states.size) timers.delete(trigger);
+		};
+		const flush = () => {
+			const pending = state.event;
+			state.event = null;
+			if (pending && trigger.isConnected) runSteps(trigger, steps, pending);
+		};
+		const tick = () => {
+			// Throttle keeps its window open while trailing calls keep coming.
+			if (mode === "throttle" && trailing && state.event) {
+				flush();
+				state.timer = setTimeout(tick, wait);
+				return;
+			}
+			release();
+			if (trailing) flush();
+		};
+
+		if (mode === "debounce") {
+			clearTimeout(state.timer);
+			state.event = isIdle && leading ? null : event;
+			state.timer = setTimeout(tick, wait);
+			if (isIdle && leading) runSteps(trigger, steps, event);
+			return;
+		}
+
+		if (!isIdle) {
+			state.event = event;
+			return;
+		}
+		state.event = leading ? null : event;
+		state.timer = setTimeout(tick, wait);
+		if (leading) runSteps(trigger, steps, event);
+	};
+
+	// Triggers waiting on an async command, mapped to whether the busy state added `disabled`.
+	const busy = new WeakMap();
+
+	// Only elements supporting `disabled` (buttons, inputs, fieldsets...) get the attribute.
+	const setBusy = (trigger, isBusy) => {
+		if (isBusy) {
+			const addsDisabled =
+				"disabled" in trigger && !trigger.hasAttribute("disabled");
+			busy.set(trigger, addsDisabled);
+			trigger.setAttribute("aria-busy", "true");
+			if (addsDisabled) trigger.setAttribute("disabled", "");
+			return;
+		}
+		const addedDisabled = busy.get(trigger);
+		busy.delete(trigger);
+		trigger.removeAttribute("aria-busy");
+		if (addedDisabled) trigger.removeAttribute("disabled");
+	};
+
+	// A `disabled` attribute set by the busy state does not block other triggers, e.g. in a busy fieldset.
+	const isBusyDisabled = (el, check) =>
+		check === "disabled" && busy.get(el) === true;
+
+	/**
+	 * Runs steps in order, stopping at the first one that fails. When a step returns
+	 * a promise, the trigger stays busy until the sequence settles and repeat
+	 * activations are ignored.
+	 */
+	const runSteps = (trigger, steps, event) => {
+		if (busy.has(trigger)) return;
+		const pending = runFrom(trigger, steps, event, 0);
+		if (!pending) return;
+		setBusy(trigger, true);
+		const release = () => setBusy(trigger, false);
+		pending.then(release, (err) => {
+			console.error(err);
+			release();
+		});
+	};
+
+	/**
+	 * @returns {Promise<void>|null} a promise when an async step is pending.
+	 */
+	const runFrom = (trigger, steps, event, from) => {
+		const sharedTarget = trigger.getAttribute(commandForAttr);
+		const sharedConfig = trigger.getAttribute(commandConfigAttr);
+
+		for (let i = from, len = steps.length; i < len; i++) {
+			const step = steps[i];
+			const config = parseConfig(
+				step.config !== null ? step.config : sharedConfig || "{}",
+			);
+			const selector = step.target !== null ? step.target : sharedTarget;
+			const result = runStep(step.action, selector, config, trigger, event);
+			if (result === false) return null;
+			if (result !== true) {
+				// A step throwing after an async one ends the sequence instead of
+				// rejecting it.
+				return result
+					.then((proceed) => {
+						if (proceed) return runFrom(trigger, steps, event, i + 1);
+					})
+					.catch((err) => console.error(err));
+			}
+		}
+		return null;
+	};
+
+	// Triggers declaring `.outside` bindings in the light DOM.
+	const outsideTriggers = trackMatches(
+		`[${attribute}*=".outside"],[${commandOnAttr}*=".outside"]`,
+		[attribute, commandOnAttr],
+	);
+
+	/**
+	 * Runs `.outside` bindings of every trigger the event did not travel through.
+	 */
+	const runOutside = (event, path) => {
+		outsideTriggers.get().forEach((trigger) => {
+			if (path.indexOf(trigger) !== -1) return;
+			const matches = getMatches(trigger, event, path, true);
+			if (matches.length) runBindings(trigger, matches, event, true);
+		});
+	};
+
 	const listener = {
 		// One stable listener object for all events:
 		// `handleEvent` keeps add/remove symmetric and avoids per-event bound closures.
 		handleEvent(event) {
-			const eventTarget = event && event.target;
-			if (!eventTarget || typeof eventTarget.closest !== "function") return;
-
-			// Find if the event originated from inside a [data-command] element
-			const trigger = eventTarget.closest(`[${attribute}]`);
-			if (!trigger) return;
-
-			// If the event type doesn't match the requested trigger, ignore it
-			const expectedEvent = trigger.getAttribute(commandOnAttr) || "click";
-			const type = event.type;
-			if (type !== expectedEvent) return;
-
-			if (type !== "focusin" && type !== "focusout") {
-				// Prevent Default handles submit, links, and changes correctly usually
-				event.preventDefault();
-			}
-
-			const action = trigger.getAttribute(attribute); // e.g., "refresh"
-			if (!action) return;
-			const targetSelector = trigger.getAttribute(commandForAttr);
-			const configString = trigger.getAttribute(commandConfigAttr);
-			const config = parseConfig(configString ? configString : "{}");
-
-			let target = trigger;
-			if (targetSelector) {
-				try {
-					target = document.querySelector(targetSelector);
-				} catch (_e) {
-					return;
+			if (!event) return;
+			// The composed path reaches triggers inside open shadow roots,
+			// which `event.target` hides once retargeted to their host.
+			const path = getEventPath(event);
+			if (!path.length) return;
+
+			// The nearest [data-command] element binding this event handles it.
+			// Events that do not bubble only concern their own target.
+			for (let i = 0, len = event.bubbles ? path.length : 1; i < len; i++) {
+				const trigger = path[i];
+				if (!trigger.hasAttribute(attribute)) continue;
+				const matches = getMatches(trigger, event, path, false);
+				if (matches.length) {
+					runBindings(trigger, matches, event, false);
+					break;
 				}
 			}
 
-			if (target) {
-				const isExplicitEvent = action.includes(":");
-				const maybeMethod =
-					!isExplicitEvent && allowed.has(action) ? target[action] : null;
+			runOutside(event, path);
+
+			// Hotkeys ride on the delegated keydown, so `events` and `unlisten` control them too.
+			if (event.type === "keydown") runHotkeys(event, path);
+		},
+	};
+
+	// Hotkey triggers of the document and of every open shadow root, so page-level
+	// shortcuts work before any event has gone through the component holding them.
+	const hotkeyTriggers = trackMatches(`[${commandHotkeyAttr}]`, [
+		commandHotkeyAttr,
+	]);
+	const observeHotkeyRoot = (root) => {
+		hotkeyTriggers.observe(root);
+		const elements = root.querySelectorAll("*");
+		for (let i = 0, len = elements.length; i < len; i++) {
+			const shadowRoot = elements[i].shadowRoot;
+			if (shadowRoot) observeHotkeyRoot(shadowRoot);
+		}
+	};
 
-				if (typeof maybeMethod === "function") {
-					const args = Array.isArray(config.args)
-						? config.args
-						: Object.keys(config).length > 0
-							? [config]
-							: [];
-					maybeMethod.apply(target, args);
-					return;
+	// When several triggers match, the first in document order wins, light DOM ones first.
+	const precedes = (a, b) => {
+		const rootA = a.getRootNode();
+		if (rootA !== b.getRootNode()) return rootA === document;
+		return Boolean(
+			a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING,
+		);
+	};
+
+	/** @type {WeakMap<Element, { value: string, hotkeys: any[] }>} */
+	const hotkeyCache = new WeakMap();
+	const getHotkeys = (trigger, value) => {
+		const cached = hotkeyCache.get(trigger);
+		if (cached && cached.value === value) return cached.hotkeys;
+		const hotkeys = parseHotkeys(value);
+		hotkeyCache.set(trigger, { value, hotkeys });
+		return hotkeys;
+	};
+
+	// Recent key presses, used to match hotkey sequences.
+	let keyBuffer = [];
+	let lastKeyAt = 0;
+	const warnedConflicts = new Set();
+
+	/**
+	 * Tells whether the recent key presses end with the given sequence.
+	 */
+	const matchesSequence = (sequence, typing) => {
+		const offset = keyBuffer.length - sequence.length;
+		if (offset < 0) return false;
+		for (let i = 0, len = sequence.length; i < len; i++) {
+			const combo = sequence[i];
+			// Plain keys are left alone while the user is typing.
+			if (typing && !combo.ctrl && !combo.alt && !combo.meta) return false;
+			if (!matchesKey(keyBuffer[offset + i], combo)) return false;
+		}
+		return true;
+	};
+
+	/**
+	 * Runs the click bindings of the trigger whose `data-command-hotkey` matches.
+	 */
+	const runHotkeys = (event, path) => {
+		if (event.defaultPrevented || event.isComposing) return;
+		if (/^(Control|Shift|Alt|Meta)$/.test(event.key)) return;
+
+		const now = Date.now();
+		if (now - lastKeyAt > SEQUENCE_TIMEOUT) keyBuffer = [];
+		lastKeyAt = now;
+		keyBuffer.push(event);
+		if (keyBuffer.length > 4) keyBuffer.shift();
+
+		const typing = isEditable(path[0]);
+		let trigger = null;
+		let combo = "";
+		hotkeyTriggers.get().forEach((candidate) => {
+			if (candidate.disabled) return;
+			const value = candidate.getAttribute(commandHotkeyAttr) || "";
+			const hotkeys = getHotkeys(candidate, value);
+			for (let j = 0, hLen = hotkeys.length; j < hLen; j++) {
+				if (!matchesSequence(hotkeys[j], typing)) continue;
+				if (trigger) {
+					if (!warnedConflicts.has(value)) {
+						warnedConflicts.add(value);
+						console.warn(
+							`[liveinit] Hotkey '${value}' conflicts with '${combo}', only the first trigger runs.`,
+						);
+					}
+					if (!precedes(candidate, trigger)) break;
 				}
+				trigger = candidate;
+				combo = value;
+				break;
+			}
+		});
+		if (!trigger) return;
 
-				const eventName = action.includes(":")
-					? action
-					: `${eventPrefix}:${action}`;
+		keyBuffer = [];
+		const used = usedOnce.get(trigger);
+		const bindings = getBindings(trigger).filter(
+			(binding) =>
+				binding.event.type === "click" &&
+				!binding.event.outside &&
+				!(used && used.has(binding)),
+		);
+		if (bindings.length) runBindings(trigger, bindings, event, false);
+	};
 
-				target.dispatchEvent(
-					new CustomEvent(eventName, {
-						detail: { originalEvent: event, config, trigger },
-						bubbles: true,
-					}),
-				);
+	const commandListener = {
+		// Maps custom `--name` invoker commands onto the `name` action of the button.
+		handleEvent(event) {
+			const command = event.command;
+			const trigger = event.source;
+			if (typeof command !== "string" || !command.startsWith("--")) return;
+			if (!trigger || !(event.target instanceof Element)) return;
+			const step = {
+				event: null,
+				action: command.slice(2),
+				config: null,
+				target: event.target,
+			};
+			runBindings(trigger, [{ event: INVOKER_EVENT, step }], event, false);
+		},
+	};
+
+	const invokerPolyfill = {
+		// Dispatches `command` on the `commandfor` element, then runs built-in commands.
+		handleEvent(event) {
+			// The delegator prevents clicks it handles, which must not cancel the invoker.
+			if (event.defaultPrevented && !preventedByDefault.has(event)) return;
+			const path = getEventPath(event);
+			let source = null;
+			for (let i = 0, len = path.length; i < len && !source; i++) {
+				if (path[i].localName === "button") source = path[i];
+			}
+			if (!source || source.disabled || !source.hasAttribute("commandfor")) {
+				return;
 			}
+
+			const command = (source.getAttribute("command") || "").trim();
+			const id = source.getAttribute("commandfor");
+			const root = source.getRootNode();
+			const target = (root.getElementById ? root : document).getElementById(id);
+			if (!command || !target) return;
+
+			const commandEvent = new Event("command", { cancelable: true });
+			commandEvent.command = command;
+			commandEvent.source = source;
+			if (!target.dispatchEvent(commandEvent)) return;
+
+			const name = command.toLowerCase();
+			const method = NATIVE_COMMANDS[name];
+			if (!method || typeof target[method] !== "function") return;
+			// Like the native ones, dialog commands only apply to dialogs in the
+			// matching state and popover commands only to popovers.
+			if (name.endsWith("-popover")) {
+				if (!target.hasAttribute("popover")) return;
+			} else if (
+				target.localName !== "dialog" ||
+				(name === "show-modal") === target.open
+			) {
+				return;
+			}
+			target[method]();
 		},
 	};
 
+	const invokers = !!options.invokers;
+	const polyfillInvokers = invokers && !supportsInvokers();
+
+	let connected = true;
+
+	/**
+	 * Starts delegating an event type.
+	 * @returns {boolean} false when it was already delegated or the engine is disconnected.
+	 */
+	const listen = (type) => {
+		if (!connected || listening.has(type)) return false;
+		listening.add(type);
+		document.addEventListener(type, listener, NON_BUBBLING_EVENTS.has(type));
+		return true;
+	};
+
+	/**
+	 * Stops delegating an event type.
+	 * @returns {boolean} false when it was not delegated.
+	 */
+	const unlisten = (type) => {
+		if (!listening.delete(type)) return false;
+		document.removeEventListener(type, listener, NON_BUBBLING_EVENTS.has(type));
+		return true;
+	};
+
 	for (let i = 0, len = events.length; i < len; i++) {
-		document.addEventListener(events[i], listener);
+		listen(events[i]);
 	}
+	outsideTriggers.observe(document);
+	observeHotkeyRoot(document);
+	const stopObservingShadowRoots = observeOpenShadowRoots(
+		hotkeyTriggers.observe,
+	);
+	// `command` does not bubble, so it is caught on its way down.
+	if (invokers) document.addEventListener("command", commandListener, true);
+	if (polyfillInvokers) document.addEventListener("click", invokerPolyfill);
 
-	let connected = true;
 	return {
+		register(name, handler) {
+			if (typeof handler !== "function") {
+				throw new Error("register requires a handler function.");
+			}
+			handlers.set(name, handler);
+			return () => {
+				if (handlers.get(name) === handler) handlers.delete(name);
+			};
+		},
+		unregister(name) {
+			return handlers.delete(name);
+		},
+		listen,
+		unlisten,
 		disconnect() {
 			if (!connected) return;
 			connected = false;
-			for (let i = 0, len = events.length; i < len; i++) {
-				document.removeEventListener(events[i], listener);
+			listening.forEach(unlisten);
+			outsideTriggers.disconnect();
+			hotkeyTriggers.disconnect();
+			stopObservingShadowRoots();
+			if (invokers) {
+				document.removeEventListener("command", commandListener, true);
+			}
+			if (polyfillInvokers) {
+				document.removeEventListener("click", invokerPolyfill);
 			}
+			keyBuffer = [];
+			timers.forEach((states) => {
+				states.forEach((state) => {
+					clearTimeout(state.timer);
+				});
+			});
+			timers.clear();
 		},
 	};
 }
@@ -6,26 +6,274 @@ const isNative = (fn) =>
 	typeof fn === "function" &&
 	/\{\s*\[native code\]\s*\}/.test(Function.prototype.toString.call(fn));
 
+// Live instances across all engines: element -> module name -> instance.
+const instances = new WeakMap();
+// Elements holding at least one live instance, in creation order, for enumeration.
+// Engines drop theirs on teardown and disconnect, so no element outlives its engine here.
+const hosts = new Set();
+// Pending whenComponent() calls: element -> [{ name, resolve }].
+const waiters = new WeakMap();
+// Components being resolved: element -> promises settling once they are created or failed.
+const resolving = new WeakMap();
+
+/**
+ * Rejects when the promise does not settle within `ms` milliseconds (0 disables the limit).
+ * @param {Promise<any>} promise
+ * @param {number} ms
+ * @param {string} moduleName
+ * @returns {Promise<any>}
+ */
+const withTimeout = (promise, ms, moduleName) => {
+	if (!ms) return promise;
+	let timer;
+	const expired = new Promise((_, reject) => {
+		timer = setTimeout(
+			() =>
+				reject(new Error(`Module '${moduleName}' timed out after ${ms}ms.`)),
+			ms,
+		);
+	});
+	return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Resolves with true once the promise settles, or with false after `ms` milliseconds
+ * (0 disables the limit).
+ * @param {Promise<any>} promise
+ * @param {number} ms
+ * @returns {Promise<boolean>}
+ */
+const settlesWithin = (promise, ms) => {
+	const settled = promise.then(() => true);
+	if (!ms) return settled;
+	let timer;
+	const expired = new Promise((resolve) => {
+		timer = setTimeout(() => resolve(false), ms);
+	});
+	return Promise.race([settled, expired]).finally(() => clearTimeout(timer));
+};
+
+// Returns the parent element, crossing shadow root boundaries to the host.
+const parentOf = (el) =>
+	el.parentElement || (el.parentNode && el.parentNode.host) || null;
+
+/**
+ * Returns the nearest ancestor element holding a live instance (of `name`, when given).
+ * @param {Element} el
+ * @param {string} [name]
+ * @returns {Element|null}
+ */
+const findParentHost = (el, name) => {
+	for (let host = parentOf(el); host; host = parentOf(host)) {
+		if (getComponent(host, name)) return host;
+	}
+	return null;
+};
+
+/**
+ * Waits until the components being resolved on the ancestors of an element are settled.
+ * @param {Element} el
+ * @returns {Promise<any>|null} null when no ancestor is resolving.
+ */
+const ancestorsSettled = (el) => {
+	const pending = [];
+	for (let host = parentOf(el); host; host = parentOf(host)) {
+		const promises = resolving.get(host);
+		if (promises) pending.push(...promises);
+	}
+	return pending.length ? Promise.all(pending) : null;
+};
+
+/**
+ * Registers a pending resolution on an element, so its descendants wait for it.
+ * @param {Element} el
+ * @returns {() => void} Settles the registration.
+ */
+const holdResolving = (el) => {
+	let settle;
+	const settled = new Promise((resolve) => {
+		settle = resolve;
+	});
+	let promises = resolving.get(el);
+	if (!promises) {
+		promises = new Set();
+		resolving.set(el, promises);
+	}
+	promises.add(settled);
+	return () => {
+		promises.delete(settled);
+		if (!promises.size) resolving.delete(el);
+		settle();
+	};
+};
+
+/**
+ * Calls a child hook (`childConnected` / `childDisconnected`) on every instance of a host element.
+ */
+const notifyParent = (host, hook, child, name, el) => {
+	const byName = host && instances.get(host);
+	if (!byName) return;
+	byName.forEach((parent) => {
+		if (typeof parent[hook] !== "function") return;
+		try {
+			parent[hook](child, { name, el });
+		} catch (err) {
+			console.error(err);
+		}
+	});
+};
+
+/**
+ * Resolves the whenComponent() calls waiting for a module of an element.
+ * @param {Element} el
+ * @param {string} name
+ * @param {any} value - The instance, or null when the component will not be created.
+ * @param {boolean} unnamed - Whether calls waiting for any component settle too.
+ */
+const settleWaiters = (el, name, value, unnamed) => {
+	const pending = waiters.get(el);
+	if (!pending) return;
+	const remaining = pending.filter((waiter) => {
+		if (waiter.name ? waiter.name !== name : !unnamed) return true;
+		waiter.resolve(value);
+		return false;
+	});
+	if (remaining.length) waiters.set(el, remaining);
+	else waiters.delete(el);
+};
+
+const addInstance = (el, name, instance) => {
+	let byName = instances.get(el);
+	if (!byName) {
+		byName = new Map();
+		instances.set(el, byName);
+		hosts.add(el);
+	}
+	byName.set(name, instance);
+	settleWaiters(el, name, instance, true);
+};
+
+const removeInstance = (el, name, instance) => {
+	const byName = instances.get(el);
+	if (!byName || byName.get(name) !== instance) return;
+	byName.delete(name);
+	if (!byName.size) {
+		instances.delete(el);
+		hosts.delete(el);
+	}
+};
+
+/**
+ * Returns the live component instance created on an element for a module name.
+ *
+ * @param {Element} el
+ * @param {string} [name] - The module name used in the component attribute. Defaults to the first component of the element.
+ * @returns {any|null}
+ */
+export const getComponent = (el, name) => {
+	const byName = instances.get(el);
+	if (!byName) return null;
+	if (!name) return byName.values().next().value || null;
+	return byName.get(name) || null;
+};
+
+/**
+ * Returns the nearest ancestor component instance, crossing shadow root boundaries.
+ * Ancestors are created before their descendants, so this also works in constructors.
+ *
+ * @param {Element} el
+ * @param {string} [name] - Only looks for instances of this module name.
+ * @returns {any|null}
+ */
+export const getParentComponent = (el, name) => {
+	const host = findParentHost(el, name);
+	return host ? getComponent(host, name) : null;
+};
+
+/**
+ * Waits for a component instance, including lazy and async resolution.
+ * Resolves right away when the instance is already live, and with null when the component
+ * fails or is torn down before it is created (without `name`, once none is left pending).
+ *
+ * @param {Element} el
+ * @param {string} [name] - The module name. Defaults to the first component created on the element.
+ * @returns {Promise<any>}
+ */
+export const whenComponent = (el, name) => {
+	const instance = getComponent(el, name);
+	if (instance) return Promise.resolve(instance);
+	return new Promise((resolve) => {
+		const pending = waiters.get(el) || [];
+		pending.push({ name, resolve });
+		waiters.set(el, pending);
+	});
+};
+
+/**
+ * Lists the live component instances on a root and its descendants, in creation order.
+ *
+ * @param {Element|Document} [root=document]
+ * @param {string} [name] - Only lists instances of this module name.
+ * @returns {{ el: Element, name: string, instance: any }[]}
+ */
+export const getComponents = (root = document, name) => {
+	const found = [];
+	hosts.forEach((el) => {
+		if (el !== root && !root.contains(el)) return;
+		instances.get(el).forEach((instance, moduleName) => {
+			if (!name || name === moduleName) {
+				found.push({ el, name: moduleName, instance });
+			}
+		});
+	});
+	return found;
+};
+
 /**
  * Initializes components dynamically based on HTML attributes.
  *
  * @param {Record<string, () => Promise<{ default: any }>>} [Registry] - Optional dictionary mapping module names to dynamic import functions.
  * @param {Object} [options={}]
  * @param {string} [options.attribute="data-component"] - The HTML attribute used for binding components.
+ *   It may list several space-separated module names, each instantiated and destroyed independently.
  * @param {string} [options.lazyAttribute="data-lazy"] - The HTML attribute indicating deferred loading.
  * @param {string} [options.signalKey="signal"] - The key used to inject the AbortSignal into the component's config.
  * @param {string} [options.destroyMethod="destroy"] - The method name called on the component instance during teardown.
+ * @param {string} [options.updateMethod="update"] - The method called with `(newConfig, oldConfig)` when the config attribute changes.
+ * @param {boolean} [options.recreateOnConfigChange=false] - Destroys and re-creates components without an update method when their config changes.
  * @param {boolean} [options.strict=false] - If true, only resolve from Registry, disabling window fallback.
  * @param {Function} [options.resolve] - A custom async function `(moduleName) => ModuleClass` to override default resolution.
+ * @param {number} [options.timeout=0] - Milliseconds after which a pending resolution fails (0 waits forever).
+ * @param {number} [options.maxAttempts=1] - Resolution attempts per component; thrown or timed out resolutions are retried up to this limit.
+ * @param {number} [options.retryDelay=500] - Delay before the first automatic retry, doubled after each attempt.
+ * @param {number} [options.parentTimeout=10000] - Milliseconds a component waits for the components still resolving
+ *   on its ancestors before it is created anyway (0 waits forever).
+ * @param {(el: Element, moduleName: string, error: Error, context: { phase: "resolve"|"construct" }) => void} [options.onError] - Receives
+ *   resolution failures (after the last attempt) and constructor exceptions instead of the console, e.g. to render fallback content.
  * @returns {Object} The observer instance { evaluate, retryFailed, forget, disconnect }.
+ * `disconnect()` leaves live instances running but drops them from the lookups, and stops pending ones.
+ * Setting, changing or removing the attribute on a connected element mounts, swaps or tears down
+ * its components. Config attributes of live elements are observed: the new config is passed to the
+ * update method, or the component is re-created when `recreateOnConfigChange` is set.
  */
 export default function initComponents(Registry = null, options = {}) {
 	const attribute = options.attribute || "data-component";
 	const lazyAttribute = options.lazyAttribute || "data-lazy";
 	const signalKey = options.signalKey || "signal";
 	const destroyMethod = options.destroyMethod || "destroy";
+	const updateMethod = options.updateMethod || "update";
+	const recreateOnConfigChange = options.recreateOnConfigChange || false;
+	const timeout = options.timeout || 0;
+	const maxAttempts = options.maxAttempts || 1;
+	const retryDelay =
+		typeof options.retryDelay === "number" ? options.retryDelay : 500;
+	const parentTimeout =
+		typeof options.parentTimeout === "number" ? options.parentTimeout : 10000;
+	const onError = options.onError || null;
 	const strict = options.strict || false;
 	const componentState = new WeakMap();
+	// Elements with components of this engine, released from the lookups on disconnect().
+	const tracked = new Set();
 
 	// Default resolver: check explicit registry, fallback to global window object
 	const defaultResolver = async (moduleName) => {
@@ -56,72 +304,383 @@ export default function initComponents(Registry = null, options = {}) {
 	};
 
 	const resolver = options.resolve || defaultResolver;
+	const eventPrefix = attribute.replace(/^data-/, "");
 
-	const engine = observer([`[${attribute}]`], (el, isConnected) => {
-		if (isConnected) {
-			// 1. Parse relaxed config string
-			const configString = el.getAttribute(`${attribute}-config`);
-			const config = parseConfig(configString);
-			const moduleName = el.getAttribute(attribute);
-
-			const state = {
-				abortController: new AbortController(),
-				cancelLazy: null,
-				appModule: null,
-				failed: false,
-			};
-			componentState.set(el, state);
-			config[signalKey] = state.abortController.signal;
-
-			// 2. Define the actual initialization logic
-			const initModule = async () => {
+	/**
+	 * Dispatches a bubbling `{prefix}:{name}` lifecycle event on the element.
+	 */
+	const emit = (el, name, detail) => {
+		el.dispatchEvent(
+			new CustomEvent(`${eventPrefix}:${name}`, { detail, bubbles: true }),
+		);
+	};
+
+	/**
+	 * Reports a resolution failure (`{prefix}:failed`) or a constructor exception
+	 * (`{prefix}:error`), then hands it to `onError` or logs it.
+	 */
+	const report = (el, moduleName, error, phase, log) => {
+		emit(el, phase === "construct" ? "error" : "failed", {
+			name: moduleName,
+			error,
+		});
+		if (onError) {
+			try {
+				onError(el, moduleName, error, { phase });
+			} catch (err) {
+				console.error(err);
+			}
+		} else if (log) {
+			console.error(error);
+		}
+	};
+
+	/**
+	 * Settles the whenComponent() calls of a component that will not be created. Calls
+	 * waiting for any component of the element settle once none is left pending.
+	 */
+	const abandon = (el, moduleName) => {
+		const states = componentState.get(el);
+		let pending = false;
+		if (states) {
+			states.forEach((state) => {
+				if (
+					state.moduleName !== moduleName &&
+					!state.failed &&
+					!state.appModule &&
+					!state.abortController.signal.aborted
+				) {
+					pending = true;
+				}
+			});
+		}
+		settleWaiters(el, moduleName, null, !pending);
+	};
+
+	const configAttr = `${attribute}-config`;
+
+	// The config comes from `{attribute}-{name}-config`, falling back to `{attribute}-config`.
+	const readConfig = (el, moduleName) => {
+		const ownConfigAttr = `${attribute}-${moduleName}-config`;
+		return el.getAttribute(
+			el.hasAttribute(ownConfigAttr) ? ownConfigAttr : configAttr,
+		);
+	};
+
+	/**
+	 * Sets up one component of an element: its own config, AbortSignal and lazy loading.
+	 */
+	const mount = (el, moduleName) => {
+		const state = {
+			abortController: new AbortController(),
+			cancelLazy: null,
+			appModule: null,
+			moduleName,
+			failed: false,
+			init: null,
+			attempts: 0,
+			retryTimer: null,
+			release: null,
+			parentHost: null,
+			configString: null,
+			config: null,
+		};
+
+		// 1. Parse relaxed config string
+		state.configString = readConfig(el, moduleName);
+		state.config = parseConfig(state.configString);
+		state.config[signalKey] = state.abortController.signal;
+
+		// 2. Define the actual initialization logic
+		const initModule = async () => {
+			// Descendants wait until the last attempt is over, so ancestors are always created first.
+			if (!state.release) state.release = holdResolving(el);
+
+			state.attempts++;
+			try {
+				emit(el, "resolving", { name: moduleName, attempt: state.attempts });
+				let ModuleClass = null;
+				let resolveError = null;
 				try {
-					const ModuleClass = await resolver(moduleName);
-					// Ensure element wasn't disconnected while we were resolving the module
-					// and ensure ModuleClass was actually resolved
-					if (ModuleClass && !state.abortController.signal.aborted) {
-						state.appModule = new ModuleClass(el, config);
-						state.failed = false;
-					} else if (!ModuleClass) {
-						// Keep state and mark as failed so retries can be targeted later.
-						state.failed = true;
-					}
+					ModuleClass = await withTimeout(
+						Promise.resolve().then(() => resolver(moduleName)),
+						timeout,
+						moduleName,
+					);
 				} catch (err) {
+					resolveError = err;
+				}
+
+				// Ensure element wasn't disconnected while we were resolving the module
+				if (state.abortController.signal.aborted) return;
+
+				if (!ModuleClass) {
+					// Thrown or timed out resolutions (e.g. a flaky chunk) are retried with backoff.
+					if (resolveError && state.attempts < maxAttempts) {
+						state.retryTimer = setTimeout(
+							() => {
+								state.retryTimer = null;
+								initModule();
+							},
+							retryDelay * 2 ** (state.attempts - 1),
+						);
+						return;
+					}
+					// Keep state and mark as failed so retries can be targeted later.
 					state.failed = true;
-					console.error(err);
+					report(
+						el,
+						moduleName,
+						resolveError ||
+							new Error(`Module '${moduleName}' could not be resolved.`),
+						"resolve",
+						// The default resolver already warned about missing modules.
+						!!resolveError,
+					);
+					abandon(el, moduleName);
+					return;
+				}
+
+				// Bounded, so an ancestor whose resolver never settles does not hold the subtree forever.
+				const ancestors = ancestorsSettled(el);
+				const settled =
+					!ancestors || (await settlesWithin(ancestors, parentTimeout));
+				if (state.abortController.signal.aborted) return;
+				if (!settled) {
+					console.warn(
+						`[liveinit] '${moduleName}' stopped waiting for its ancestors after ${parentTimeout}ms.`,
+					);
 				}
-			};
 
-			// 3. Check for Lazy Loading
-			if (el.hasAttribute(lazyAttribute)) {
-				state.cancelLazy = lazy(el, initModule);
-			} else {
-				initModule();
+				try {
+					state.appModule = new ModuleClass(el, state.config);
+				} catch (err) {
+					state.failed = true;
+					report(el, moduleName, err, "construct", true);
+					abandon(el, moduleName);
+					return;
+				}
+				state.failed = false;
+				state.attempts = 0;
+				addInstance(el, moduleName, state.appModule);
+				state.parentHost = findParentHost(el);
+				notifyParent(
+					state.parentHost,
+					"childConnected",
+					state.appModule,
+					moduleName,
+					el,
+				);
+				emit(el, "connected", {
+					name: moduleName,
+					instance: state.appModule,
+				});
+			} finally {
+				// A scheduled retry keeps holding the descendants back.
+				if (!state.retryTimer) releaseResolving(state);
 			}
+		};
+		state.init = initModule;
+
+		// 3. Check for Lazy Loading
+		if (el.hasAttribute(lazyAttribute)) {
+			state.cancelLazy = lazy(el, initModule);
 		} else {
-			// --- TEARDOWN ---
-			const state = componentState.get(el);
-			if (!state) return;
+			initModule();
+		}
+		return state;
+	};
 
-			// 1. Auto-cleanup all events bound with this signal
-			if (state.abortController) {
-				state.abortController.abort();
-			}
+	const releaseResolving = (state) => {
+		if (!state.release) return;
+		state.release();
+		state.release = null;
+	};
+
+	const unmount = (el, state) => {
+		// 1. Auto-cleanup all events bound with this signal
+		if (state.abortController) {
+			state.abortController.abort();
+		}
+
+		// 2. If it was removed before it ever scrolled into view, cancel the observer!
+		if (state.cancelLazy) {
+			state.cancelLazy();
+		}
+		clearTimeout(state.retryTimer);
+		state.retryTimer = null;
+		releaseResolving(state);
+
+		// 3. If the module was actually initialized, destroy it safely.
+		if (
+			state.appModule &&
+			typeof state.appModule[destroyMethod] === "function"
+		) {
+			state.appModule[destroyMethod]();
+		}
+
+		// 4. Stop exposing the instance to lookups.
+		removeInstance(el, state.moduleName, state.appModule);
+
+		// 5. Let the parent and listeners know the instance is gone, or stop waiting for it.
+		if (state.appModule) {
+			notifyParent(
+				state.parentHost,
+				"childDisconnected",
+				state.appModule,
+				state.moduleName,
+				el,
+			);
+			emit(el, "disconnected", {
+				name: state.moduleName,
+				instance: state.appModule,
+			});
+		} else {
+			abandon(el, state.moduleName);
+		}
+	};
 
-			// 2. If it was removed before it ever scrolled into view, cancel the observer!
-			if (state.cancelLazy) {
-				state.cancelLazy();
+	/**
+	 * Mounts the components listed in the attribute that are not live yet and
+	 * tears down the ones that are no longer listed.
+	 */
+	const syncComponents = (el, states) => {
+		// The attribute holds one or more space-separated module names,
+		// each one living independently on the element.
+		const names = (el.getAttribute(attribute) || "").split(/\s+/);
+		states.forEach((state, moduleName) => {
+			if (names.indexOf(moduleName) !== -1) return;
+			states.delete(moduleName);
+			try {
+				unmount(el, state);
+			} catch (err) {
+				console.error(err);
 			}
+		});
+		for (let i = 0, len = names.length; i < len; i++) {
+			const moduleName = names[i];
+			if (moduleName && !states.has(moduleName)) {
+				states.set(moduleName, mount(el, moduleName));
+			}
+		}
+		observeOwnConfigs(el, states);
+	};
+
+	/**
+	 * Applies a changed config attribute to one component of a live element.
+	 */
+	const reconfigure = (el, states, state) => {
+		const configString = readConfig(el, state.moduleName);
+		if (configString === state.configString) return;
+
+		const oldConfig = state.config;
+		const newConfig = parseConfig(configString);
+		newConfig[signalKey] = state.abortController.signal;
+		const instance = state.appModule;
 
-			// 3. If the module was actually initialized, destroy it safely.
-			if (
-				state.appModule &&
-				typeof state.appModule[destroyMethod] === "function"
+		// Components that are not created yet simply start with the new config.
+		if (!instance || typeof instance[updateMethod] === "function") {
+			state.configString = configString;
+			state.config = newConfig;
+			if (instance) instance[updateMethod](newConfig, oldConfig);
+			return;
+		}
+
+		if (recreateOnConfigChange) {
+			unmount(el, state);
+			states.set(state.moduleName, mount(el, state.moduleName));
+		}
+	};
+
+	// Watches the component attribute of connected elements and the config attributes
+	// of live ones. Only those attributes are observed, see observeOwnConfigs().
+	const attributeObserver = new MutationObserver((records) => {
+		const changed = new Map();
+		for (let i = 0, len = records.length; i < len; i++) {
+			const { target, attributeName } = records[i];
+			if (attributeName === attribute) {
+				if (!target.isConnected) continue;
+				if (!target.hasAttribute(attribute)) {
+					// Removed: same teardown as a removal from the DOM.
+					engine.evaluate(target, false);
+				} else if (componentState.has(target)) {
+					syncComponents(target, componentState.get(target));
+				} else {
+					engine.evaluate(target, true);
+				}
+				continue;
+			}
+			const states = componentState.get(target);
+			if (!states) continue;
+			if (attributeName === configAttr) {
+				changed.set(target, null);
+			} else if (
+				attributeName.startsWith(`${attribute}-`) &&
+				attributeName.endsWith("-config")
 			) {
-				state.appModule[destroyMethod]();
+				// null means every component of the element.
+				const names = changed.get(target);
+				if (names === null) continue;
+				// Attribute names are lowercase, module names may not be.
+				const moduleName = attributeName
+					.slice(attribute.length + 1, -"-config".length)
+					.toLowerCase();
+				changed.set(target, (names || new Set()).add(moduleName));
 			}
+		}
 
+		changed.forEach((names, el) => {
+			const states = componentState.get(el);
+			if (!states) return;
+			states.forEach((state) => {
+				if (names && !names.has(state.moduleName.toLowerCase())) return;
+				try {
+					reconfigure(el, states, state);
+				} catch (err) {
+					console.error(err);
+				}
+			});
+		});
+	});
+	attributeObserver.observe(document, {
+		attributes: true,
+		subtree: true,
+		attributeFilter: [attribute, configAttr],
+	});
+
+	/**
+	 * Observes the per-component config attributes (`{attribute}-{name}-config`) of a live
+	 * element. Observing the element again replaces its filter when its components change.
+	 */
+	const observeOwnConfigs = (el, states) => {
+		const attributeFilter = [];
+		states.forEach((state) => {
+			attributeFilter.push(
+				`${attribute}-${state.moduleName.toLowerCase()}-config`,
+			);
+		});
+		attributeObserver.observe(el, { attributes: true, attributeFilter });
+	};
+
+	const engine = observer([`[${attribute}]`], (el, isConnected) => {
+		if (isConnected) {
+			const states = new Map();
+			componentState.set(el, states);
+			tracked.add(el);
+			syncComponents(el, states);
+		} else {
+			// --- TEARDOWN ---
+			const states = componentState.get(el);
+			if (!states) return;
+			states.forEach((state) => {
+				try {
+					unmount(el, state);
+				} catch (err) {
+					console.error(err);
+				}
+			});
 			componentState.delete(el);
+			tracked.delete(el);
 		}
 	});
 
@@ -148,12 +707,18 @@ export default function initComponents(Registry = null, options = {}) {
 		let retried = 0;
 
 		for (let i = 0, len = nodes.length; i < len; i++) {
-			const el = nodes[i];
-			const state = componentState.get(el);
-			if (!state || !state.failed) continue;
-			retried++;
-			engine.forget(el);
-			engine.evaluate(el, true);
+			const states = componentState.get(nodes[i]);
+			if (!states) continue;
+			// Only the failed components are retried, the others stay as they are.
+			states.forEach((state) => {
+				if (!state.failed) return;
+				retried++;
+				// A manual retry gets a fresh attempt budget. Clearing the flag first keeps a
+				// second call from starting another resolution while this one is pending.
+				state.failed = false;
+				state.attempts = 0;
+				state.init();
+			});
 		}
 
 		return retried;
@@ -163,6 +728,25 @@ export default function initComponents(Registry = null, options = {}) {
 		evaluate: engine.evaluate,
 		retryFailed,
 		forget: engine.forget,
-		disconnect: engine.disconnect,
+		disconnect: () => {
+			engine.disconnect();
+			attributeObserver.disconnect();
+			// Live instances keep running untracked, pending ones are never created.
+			tracked.forEach((el) => {
+				componentState.get(el).forEach((state) => {
+					if (state.appModule) {
+						removeInstance(el, state.moduleName, state.appModule);
+						return;
+					}
+					try {
+						unmount(el, state);
+					} catch (err) {
+						console.error(err);
+					}
+				});
+				componentState.delete(el);
+			});
+			tracked.clear();
+		},
 	};
 }
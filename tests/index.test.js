@@ -10,5 +10,9 @@ describe("index.js public exports", () => {
 		expect(typeof mod.observeOpenShadowRoots).toBe("function");
 		expect(typeof mod.observer).toBe("function");
 		expect(typeof mod.parseConfig).toBe("function");
+		expect(typeof mod.getComponent).toBe("function");
+		expect(typeof mod.getComponents).toBe("function");
+		expect(typeof mod.getParentComponent).toBe("function");
+		expect(typeof mod.whenComponent).toBe("function");
 	});
 });
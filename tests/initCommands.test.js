@@ -1,6 +1,9 @@
 import { expect, test, describe, beforeEach, afterEach } from "bun:test";
 import { GlobalRegistrator } from "@happy-dom/global-registrator";
-import initCommands from "../src/initCommands.js";
+import initCommands, {
+	DEFAULT_ALLOWED_ATTRIBUTES,
+} from "../src/initCommands.js";
+import initComponents, { whenComponent } from "../src/initComponents.js";
 
 if (!globalThis.window) {
 	GlobalRegistrator.register();
@@ -459,4 +462,1625 @@ describe("initCommands.js Global Delegator", () => {
 		expect(hideCalled).toBe(true);
 		expect(toggleCalled).toBe(true);
 	});
+
+	test("Sequence: runs several steps in order with their own target and config", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<button data-command="close@#dlg focus@#name app:saved(id: 5)">Save</button>
+			<dialog id="dlg"></dialog>
+			<input id="name">
+		`;
+		const button = root.querySelector("button");
+		const dialog = root.querySelector("dialog");
+		const input = root.querySelector("input");
+
+		const calls = [];
+		dialog.close = () => calls.push("close");
+		input.focus = () => calls.push("focus");
+		let savedConfig = null;
+		button.addEventListener("app:saved", (e) => {
+			calls.push("saved");
+			savedConfig = e.detail.config;
+		});
+
+		button.click();
+
+		expect(calls).toEqual(["close", "focus", "saved"]);
+		expect(savedConfig).toEqual({ id: 5 });
+	});
+
+	test("Sequence: steps fall back to the shared data-command-for and config", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<button data-command="first second(level: 2)" data-command-for="#panel" data-command-config="level: 1">Go</button>
+			<div id="panel"></div>
+		`;
+		const button = root.querySelector("button");
+		const panel = root.querySelector("#panel");
+
+		const levels = [];
+		panel.addEventListener("command:first", (e) =>
+			levels.push(e.detail.config.level),
+		);
+		panel.addEventListener("command:second", (e) =>
+			levels.push(e.detail.config.level),
+		);
+
+		button.click();
+
+		expect(levels).toEqual([1, 2]);
+	});
+
+	test("Sequence: preventDefault() on a dispatched step stops the remaining steps", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<button data-command="check save">Save</button>`;
+		const button = root.querySelector("button");
+
+		let saved = false;
+		button.addEventListener("command:check", (e) => e.preventDefault());
+		button.addEventListener("command:save", () => (saved = true));
+
+		button.click();
+
+		expect(saved).toBe(false);
+	});
+
+	test("Sequence: a throwing method or missing target stops the remaining steps", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<button id="b1" data-command="focus next">Throw</button>
+			<button id="b2" data-command="focus@#missing next">Missing</button>
+		`;
+		const b1 = root.querySelector("#b1");
+		const b2 = root.querySelector("#b2");
+
+		const originalError = console.error;
+		console.error = () => {};
+		b1.focus = () => {
+			throw new Error("boom");
+		};
+
+		let fired = 0;
+		b1.addEventListener("command:next", () => (fired += 1));
+		b2.addEventListener("command:next", () => (fired += 1));
+
+		b1.click();
+		b2.click();
+		console.error = originalError;
+
+		expect(fired).toBe(0);
+	});
+
+	test("Event Bindings: maps different events to different actions on one element", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<input data-command="input->filter focusout->validate">`;
+		const input = root.querySelector("input");
+
+		const calls = [];
+		input.addEventListener("command:filter", () => calls.push("filter"));
+		input.addEventListener("command:validate", () => calls.push("validate"));
+
+		input.dispatchEvent(new Event("input", { bubbles: true }));
+		input.dispatchEvent(new FocusEvent("focusout", { bubbles: true }));
+		input.click();
+
+		expect(calls).toEqual(["filter", "validate"]);
+	});
+
+	test("Event Bindings: data-command-on accepts several event names", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<select data-command="sync" data-command-on="change input"></select>`;
+		const select = root.querySelector("select");
+
+		let fired = 0;
+		select.addEventListener("command:sync", () => (fired += 1));
+
+		select.dispatchEvent(new Event("change", { bubbles: true }));
+		select.dispatchEvent(new Event("input", { bubbles: true }));
+		select.click();
+
+		expect(fired).toBe(2);
+	});
+
+	test("Event Bindings: changed attributes are parsed again on the same trigger", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<button id="a" data-command="remove(id: 1)">A</button>
+			<button id="b" data-command="remove(id: 2)">B</button>
+		`;
+		const a = root.querySelector("#a");
+		const ids = [];
+		root.addEventListener("command:remove", (e) =>
+			ids.push(e.detail.config.id),
+		);
+
+		a.click();
+		root.querySelector("#b").click();
+		a.setAttribute("data-command", "remove(id: 3)");
+		a.click();
+		a.setAttribute("data-command-on", "focusin");
+		a.click();
+
+		expect(ids).toEqual([1, 2, 3]);
+	});
+
+	test("Event Bindings: unbound events bubble to the nearest trigger binding them", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<div data-command="select">
+				<input data-command="input->filter">
+			</div>
+		`;
+		const div = root.querySelector("div");
+		const input = root.querySelector("input");
+
+		let selected = false;
+		let filtered = false;
+		div.addEventListener("command:select", () => (selected = true));
+		input.addEventListener("command:filter", () => (filtered = true));
+
+		input.click();
+
+		expect(selected).toBe(true);
+		expect(filtered).toBe(false);
+	});
+
+	test("Modifiers: key filters limit keyboard commands to matching keys", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<input data-command="keydown.enter->submit keydown.esc->clear keydown.ctrl+k->search">`;
+		const input = root.querySelector("input");
+
+		const calls = [];
+		input.addEventListener("command:submit", () => calls.push("submit"));
+		input.addEventListener("command:clear", () => calls.push("clear"));
+		input.addEventListener("command:search", () => calls.push("search"));
+
+		const press = (init) =>
+			input.dispatchEvent(
+				new KeyboardEvent("keydown", { bubbles: true, ...init }),
+			);
+		press({ key: "a" });
+		press({ key: "Enter" });
+		press({ key: "Enter", ctrlKey: true });
+		press({ key: "Escape" });
+		press({ key: "k" });
+		press({ key: "k", ctrlKey: true });
+
+		expect(calls).toEqual(["submit", "clear", "search"]);
+	});
+
+	test("Modifiers: keyboard events keep their default unless .prevent is given", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<input data-command="keydown.enter->submit keydown.esc.prevent->clear">`;
+		const input = root.querySelector("input");
+
+		const enterEvent = new KeyboardEvent("keydown", {
+			key: "Enter",
+			bubbles: true,
+			cancelable: true,
+		});
+		const escapeEvent = new KeyboardEvent("keydown", {
+			key: "Escape",
+			bubbles: true,
+			cancelable: true,
+		});
+		input.dispatchEvent(enterEvent);
+		input.dispatchEvent(escapeEvent);
+
+		expect(enterEvent.defaultPrevented).toBe(false);
+		expect(escapeEvent.defaultPrevented).toBe(true);
+	});
+
+	test("Modifiers: .noprevent keeps the default and .stop stops propagation", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<a id="a1" href="#x" data-command="click.noprevent->track">Link</a>
+			<a id="a2" href="#y" data-command="click.stop->track">Link</a>
+		`;
+
+		let reachedWindow = 0;
+		const onWindow = () => (reachedWindow += 1);
+		window.addEventListener("click", onWindow);
+
+		const first = new MouseEvent("click", { bubbles: true, cancelable: true });
+		const second = new MouseEvent("click", { bubbles: true, cancelable: true });
+		root.querySelector("#a1").dispatchEvent(first);
+		root.querySelector("#a2").dispatchEvent(second);
+		window.removeEventListener("click", onWindow);
+
+		expect(first.defaultPrevented).toBe(false);
+		expect(second.defaultPrevented).toBe(true);
+		expect(reachedWindow).toBe(1);
+	});
+
+	test("Modifiers: .once runs a binding a single time per trigger", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<button data-command="click.once->intro click->count">Go</button>`;
+		const button = root.querySelector("button");
+
+		const calls = [];
+		button.addEventListener("command:intro", () => calls.push("intro"));
+		button.addEventListener("command:count", () => calls.push("count"));
+
+		button.click();
+		button.click();
+
+		expect(calls).toEqual(["intro", "count", "count"]);
+	});
+
+	test("Modifiers: .self ignores events coming from descendants", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<div data-command="click.self->dismiss"><span>Inner</span></div>`;
+		const div = root.querySelector("div");
+
+		let fired = 0;
+		div.addEventListener("command:dismiss", () => (fired += 1));
+
+		root.querySelector("span").click();
+		expect(fired).toBe(0);
+
+		div.click();
+		expect(fired).toBe(1);
+	});
+
+	test("Modifiers: .outside runs when the event happens outside the trigger", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<div id="menu" data-command="click.outside->close"><button>Inside</button></div>
+			<p id="elsewhere">Elsewhere</p>
+		`;
+		const menu = root.querySelector("#menu");
+
+		let closed = 0;
+		menu.addEventListener("command:close", () => (closed += 1));
+
+		const inside = new MouseEvent("click", { bubbles: true, cancelable: true });
+		menu.querySelector("button").dispatchEvent(inside);
+		expect(closed).toBe(0);
+
+		const outside = new MouseEvent("click", {
+			bubbles: true,
+			cancelable: true,
+		});
+		root.querySelector("#elsewhere").dispatchEvent(outside);
+		expect(closed).toBe(1);
+		expect(outside.defaultPrevented).toBe(false);
+	});
+
+	test("Modifiers: .outside triggers are tracked without querying on every event", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<input id="field"><p id="elsewhere">Elsewhere</p>`;
+		const closed = [];
+		root.addEventListener("command:close", (e) => closed.push(e.target.id));
+
+		const query = document.querySelectorAll;
+		let queries = 0;
+		document.querySelectorAll = function (selector) {
+			queries += 1;
+			return query.call(this, selector);
+		};
+		try {
+			root
+				.querySelector("#field")
+				.dispatchEvent(new Event("input", { bubbles: true }));
+		} finally {
+			document.querySelectorAll = query;
+		}
+		expect(queries).toBe(0);
+
+		// Triggers inserted or tagged later are found right away.
+		root.insertAdjacentHTML(
+			"beforeend",
+			`<div id="menu" data-command="click.outside->close"></div><div id="panel"></div>`,
+		);
+		root
+			.querySelector("#panel")
+			.setAttribute("data-command-on", "click.outside");
+		root.querySelector("#panel").setAttribute("data-command", "close");
+		root.querySelector("#elsewhere").click();
+		expect(closed).toEqual(["menu", "panel"]);
+
+		root.querySelector("#menu").remove();
+		root.querySelector("#elsewhere").click();
+		expect(closed).toEqual(["menu", "panel", "panel"]);
+	});
+
+	test("Rate Limit: .debounce runs once with the latest event after input settles", async () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<input data-command="search" data-command-on="input.debounce.20">`;
+		const input = root.querySelector("input");
+
+		const values = [];
+		input.addEventListener("command:search", (e) =>
+			values.push(e.detail.originalEvent.detail),
+		);
+
+		for (let i = 1; i <= 3; i++) {
+			input.dispatchEvent(
+				new CustomEvent("input", { bubbles: true, detail: i }),
+			);
+		}
+		expect(values).toEqual([]);
+
+		await new Promise((resolve) => setTimeout(resolve, 40));
+		expect(values).toEqual([3]);
+	});
+
+	test("Rate Limit: .debounce.leading runs on the first event only", async () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<button data-command="click.debounce.20.leading->save">Save</button>`;
+		const button = root.querySelector("button");
+
+		let fired = 0;
+		button.addEventListener("command:save", () => (fired += 1));
+
+		button.click();
+		button.click();
+		button.click();
+		expect(fired).toBe(1);
+
+		await new Promise((resolve) => setTimeout(resolve, 40));
+		expect(fired).toBe(1);
+	});
+
+	test("Rate Limit: .throttle runs on the leading and trailing edges", async () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<input data-command="input.throttle.20->preview">`;
+		const input = root.querySelector("input");
+
+		let fired = 0;
+		input.addEventListener("command:preview", () => (fired += 1));
+
+		for (let i = 0; i < 5; i++) {
+			input.dispatchEvent(new Event("input", { bubbles: true }));
+		}
+		expect(fired).toBe(1);
+
+		await new Promise((resolve) => setTimeout(resolve, 60));
+		expect(fired).toBe(2);
+	});
+
+	test("Rate Limit: disconnect() clears pending timers", async () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<input data-command="input.debounce.20->search">`;
+		const input = root.querySelector("input");
+
+		let fired = 0;
+		input.addEventListener("command:search", () => (fired += 1));
+
+		input.dispatchEvent(new Event("input", { bubbles: true }));
+		commandEngine.disconnect();
+
+		await new Promise((resolve) => setTimeout(resolve, 40));
+		expect(fired).toBe(0);
+	});
+
+	test("Targets: closest, find, next and prev resolve relative to the trigger", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<ul>
+				<li id="row1"><input id="in1"><button data-command="a@closest:li b@find:span c@next d@prev:input"><span id="s1"></span></button><em id="e1"></em></li>
+				<li id="row2"><input id="in2"><button data-command="a@closest:li"><span></span></button></li>
+			</ul>
+		`;
+		const button = root.querySelector("#row1 button");
+
+		const hits = [];
+		root.addEventListener("command:a", (e) => hits.push(`a:${e.target.id}`));
+		root.addEventListener("command:b", (e) => hits.push(`b:${e.target.id}`));
+		root.addEventListener("command:c", (e) => hits.push(`c:${e.target.id}`));
+		root.addEventListener("command:d", (e) => hits.push(`d:${e.target.id}`));
+
+		button.click();
+
+		expect(hits).toEqual(["a:row1", "b:s1", "c:e1", "d:in1"]);
+	});
+
+	test("Targets: component scopes the lookup to the nearest component root", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<div data-component="card" id="card1"><p class="title"></p></div>
+			<div data-component="card" id="card2">
+				<p class="title"></p>
+				<button data-command="rename@component:.title highlight@component">Go</button>
+			</div>
+		`;
+		const button = root.querySelector("button");
+
+		const hits = [];
+		root.addEventListener("command:rename", (e) =>
+			hits.push(e.target.closest("[data-component]").id),
+		);
+		root.addEventListener("command:highlight", (e) => hits.push(e.target.id));
+
+		button.click();
+
+		expect(hits).toEqual(["card2", "card2"]);
+	});
+
+	test("Targets: all: prefix runs the step on every match", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<button data-command="focus" data-command-for="all:.field">Focus</button>
+			<input class="field"><input class="field"><input>
+		`;
+		const button = root.querySelector("button");
+
+		let calls = 0;
+		for (const input of root.querySelectorAll("input")) {
+			input.focus = () => (calls += 1);
+		}
+
+		button.click();
+
+		expect(calls).toBe(2);
+	});
+
+	test("Targets: a missing relative target stops the sequence", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<button data-command="a@closest:.missing b">Go</button>`;
+		const button = root.querySelector("button");
+
+		let fired = false;
+		button.addEventListener("command:b", () => (fired = true));
+
+		button.click();
+
+		expect(fired).toBe(false);
+	});
+
+	test("Handlers: commands option maps actions to functions", () => {
+		let received = null;
+		commandEngine = initCommands({
+			commands: {
+				copy: (target, config, context) => {
+					received = { target, config, context };
+				},
+			},
+		});
+		root.innerHTML = `
+			<button data-command="copy" data-command-for="#code" data-command-config="format: 'text'">Copy</button>
+			<pre id="code"></pre>
+		`;
+		const button = root.querySelector("button");
+		const pre = root.querySelector("pre");
+
+		let eventFired = false;
+		pre.addEventListener("command:copy", () => (eventFired = true));
+
+		button.click();
+
+		expect(received.target).toBe(pre);
+		expect(received.config).toEqual({ format: "text" });
+		expect(received.context.trigger).toBe(button);
+		expect(received.context.event.type).toBe("click");
+		expect(eventFired).toBe(false);
+	});
+
+	test("Handlers: register() and unregister() manage handlers at runtime", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<button data-command="ping">Ping</button>`;
+		const button = root.querySelector("button");
+
+		const calls = [];
+		button.addEventListener("command:ping", () => calls.push("event"));
+
+		const dispose = commandEngine.register("ping", () => calls.push("handler"));
+		button.click();
+		dispose();
+		button.click();
+
+		commandEngine.register("ping", () => calls.push("again"));
+		button.click();
+		expect(commandEngine.unregister("ping")).toBe(true);
+		button.click();
+
+		expect(calls).toEqual(["handler", "event", "again", "event"]);
+	});
+
+	test("Handlers: returning false stops the remaining steps", () => {
+		commandEngine = initCommands({ commands: { check: () => false } });
+		root.innerHTML = `<button data-command="check save">Save</button>`;
+		const button = root.querySelector("button");
+
+		let saved = false;
+		button.addEventListener("command:save", () => (saved = true));
+
+		button.click();
+
+		expect(saved).toBe(false);
+	});
+
+	test("Lifecycle: dispatches command:before and command:after around handlers", () => {
+		commandEngine = initCommands({
+			commands: { sum: (_t, config) => config.a + config.b },
+		});
+		root.innerHTML = `<button data-command="sum" data-command-config="a: 1, b: 2">Sum</button>`;
+		const button = root.querySelector("button");
+
+		const seen = [];
+		button.addEventListener("command:before", (e) =>
+			seen.push(`before:${e.detail.action}`),
+		);
+		button.addEventListener("command:after", (e) =>
+			seen.push(`after:${e.detail.result}`),
+		);
+
+		button.click();
+
+		expect(seen).toEqual(["before:sum", "after:3"]);
+	});
+
+	test("Lifecycle: cancelling command:before skips the command", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<button data-command="focus next">Focus</button>`;
+		const button = root.querySelector("button");
+
+		let focused = false;
+		let next = false;
+		button.focus = () => (focused = true);
+		button.addEventListener("command:before", (e) => e.preventDefault());
+		button.addEventListener("command:next", () => (next = true));
+
+		button.click();
+
+		expect(focused).toBe(false);
+		expect(next).toBe(false);
+	});
+
+	test("Lifecycle: async handlers keep the trigger busy and ignore repeat activations", async () => {
+		let resolveSave;
+		let calls = 0;
+		commandEngine = initCommands({
+			commands: {
+				save: () => {
+					calls += 1;
+					return new Promise((resolve) => (resolveSave = resolve));
+				},
+			},
+		});
+		root.innerHTML = `<button data-command="save saved">Save</button>`;
+		const trigger = root.querySelector("button");
+
+		let afterResult = null;
+		let savedFired = false;
+		trigger.addEventListener(
+			"command:after",
+			(e) => (afterResult = e.detail.result),
+		);
+		trigger.addEventListener("command:saved", () => (savedFired = true));
+
+		trigger.click();
+		trigger.click();
+
+		expect(calls).toBe(1);
+		expect(trigger.getAttribute("aria-busy")).toBe("true");
+		expect(trigger.hasAttribute("disabled")).toBe(true);
+		expect(savedFired).toBe(false);
+
+		resolveSave("ok");
+		await new Promise((resolve) => setTimeout(resolve, 0));
+
+		expect(afterResult).toBe("ok");
+		expect(savedFired).toBe(true);
+		expect(trigger.hasAttribute("aria-busy")).toBe(false);
+		expect(trigger.hasAttribute("disabled")).toBe(false);
+	});
+
+	test("Lifecycle: busy forms are not disabled and do not block their own triggers", async () => {
+		let resolveSave;
+		const cancelled = [];
+		commandEngine = initCommands({
+			commands: {
+				save: () => new Promise((resolve) => (resolveSave = resolve)),
+				cancel: () => cancelled.push(1),
+			},
+		});
+		root.innerHTML = `
+			<form data-command="save" data-command-on="submit">
+				<fieldset><button type="button" id="cancel" data-command="cancel">Cancel</button></fieldset>
+			</form>
+		`;
+		const form = root.querySelector("form");
+		const blocked = [];
+		root.addEventListener("command:blocked", (e) => blocked.push(e.detail));
+
+		form.dispatchEvent(
+			new Event("submit", { bubbles: true, cancelable: true }),
+		);
+		expect(form.getAttribute("aria-busy")).toBe("true");
+		expect(form.hasAttribute("disabled")).toBe(false);
+
+		root.querySelector("#cancel").click();
+		expect(cancelled).toEqual([1]);
+		expect(blocked).toEqual([]);
+
+		resolveSave();
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		expect(form.hasAttribute("aria-busy")).toBe(false);
+	});
+
+	test("Lifecycle: a disabled attribute added by the busy state blocks no descendant", () => {
+		const cancelled = [];
+		commandEngine = initCommands({
+			commands: {
+				load: () => new Promise(() => {}),
+				cancel: () => cancelled.push(1),
+			},
+		});
+		root.innerHTML = `
+			<fieldset data-command="load" data-command-on="focusin">
+				<button id="cancel" data-command="cancel">Cancel</button>
+			</fieldset>
+		`;
+		const fieldset = root.querySelector("fieldset");
+		fieldset.dispatchEvent(new FocusEvent("focusin", { bubbles: true }));
+		expect(fieldset.hasAttribute("disabled")).toBe(true);
+
+		root.querySelector("#cancel").click();
+		expect(cancelled).toEqual([1]);
+	});
+
+	test("Lifecycle: a step throwing after an async one releases the trigger", async () => {
+		const errors = [];
+		const originalError = console.error;
+		console.error = (err) => errors.push(err);
+		commandEngine = initCommands({
+			commands: { save: () => Promise.resolve() },
+		});
+		root.innerHTML = `<div data-command="save saved">Save</div>`;
+		const trigger = root.querySelector("div");
+
+		trigger.click();
+		// The next step reads the trigger attributes, make that throw.
+		const getAttribute = trigger.getAttribute;
+		trigger.getAttribute = () => {
+			throw new Error("broken");
+		};
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		trigger.getAttribute = getAttribute;
+		console.error = originalError;
+
+		expect(errors.length).toBe(1);
+		expect(errors[0].message).toBe("broken");
+		expect(trigger.hasAttribute("aria-busy")).toBe(false);
+		expect(trigger.hasAttribute("disabled")).toBe(false);
+	});
+
+	test("Lifecycle: rejected promises dispatch command:error and stop the sequence", async () => {
+		const originalError = console.error;
+		console.error = () => {};
+		commandEngine = initCommands({
+			commands: { load: () => Promise.reject(new Error("offline")) },
+		});
+		root.innerHTML = `<button data-command="load loaded">Load</button>`;
+		const button = root.querySelector("button");
+
+		let error = null;
+		let loaded = false;
+		button.addEventListener("command:error", (e) => (error = e.detail.error));
+		button.addEventListener("command:loaded", () => (loaded = true));
+
+		button.click();
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		console.error = originalError;
+
+		expect(error.message).toBe("offline");
+		expect(loaded).toBe(false);
+		expect(button.hasAttribute("aria-busy")).toBe(false);
+	});
+
+	test("Confirm: declining window.confirm skips the command and blocks the default", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<a href="#delete" data-command="click.noprevent->delete" data-command-confirm="Delete this row?">Delete</a>`;
+		const link = root.querySelector("a");
+
+		const originalConfirm = window.confirm;
+		const messages = [];
+		let answer = false;
+		window.confirm = (message) => {
+			messages.push(message);
+			return answer;
+		};
+
+		let deleted = 0;
+		link.addEventListener("command:delete", () => (deleted += 1));
+
+		const declined = new MouseEvent("click", {
+			bubbles: true,
+			cancelable: true,
+		});
+		link.dispatchEvent(declined);
+		answer = true;
+		const accepted = new MouseEvent("click", {
+			bubbles: true,
+			cancelable: true,
+		});
+		link.dispatchEvent(accepted);
+		window.confirm = originalConfirm;
+
+		expect(messages).toEqual(["Delete this row?", "Delete this row?"]);
+		expect(deleted).toBe(1);
+		expect(declined.defaultPrevented).toBe(true);
+		expect(accepted.defaultPrevented).toBe(false);
+	});
+
+	test("Confirm: supports an async confirm option", async () => {
+		let resolveAnswer;
+		let context = null;
+		commandEngine = initCommands({
+			confirm: (_message, ctx) => {
+				context = ctx;
+				return new Promise((resolve) => (resolveAnswer = resolve));
+			},
+		});
+		root.innerHTML = `<button data-command="remove" data-command-confirm="Sure?">Remove</button>`;
+		const button = root.querySelector("button");
+
+		let removed = 0;
+		button.addEventListener("command:remove", () => (removed += 1));
+
+		button.click();
+		button.click();
+		expect(context.trigger).toBe(button);
+		expect(removed).toBe(0);
+
+		resolveAnswer(true);
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		expect(removed).toBe(1);
+
+		button.click();
+		resolveAnswer(false);
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		expect(removed).toBe(1);
+	});
+
+	test("Component Methods: name#method calls an exposed method on the component instance", async () => {
+		const calls = [];
+		class Dropdown {
+			static commands = ["open"];
+			constructor(el) {
+				this.el = el;
+			}
+			open(config, context) {
+				calls.push({ el: this.el, config, trigger: context.trigger });
+			}
+			reset() {
+				calls.push("reset");
+			}
+		}
+		const components = initComponents({ dropdown: async () => Dropdown });
+		commandEngine = initCommands();
+
+		root.innerHTML = `
+			<div data-component="dropdown" id="menu">
+				<button id="inner" data-command="dropdown#open" data-command-config="animate: true">Open</button>
+			</div>
+			<button id="outer" data-command="dropdown#open" data-command-for="#menu">Open</button>
+			<button id="hidden" data-command="dropdown#reset" data-command-for="#menu">Reset</button>
+		`;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		const originalWarn = console.warn;
+		let warned = false;
+		console.warn = () => (warned = true);
+
+		const menu = root.querySelector("#menu");
+		const inner = root.querySelector("#inner");
+		inner.click();
+		root.querySelector("#outer").click();
+		root.querySelector("#hidden").click();
+		console.warn = originalWarn;
+		components.disconnect();
+
+		expect(calls.length).toBe(2);
+		expect(calls[0].el).toBe(menu);
+		expect(calls[0].config).toEqual({ animate: true });
+		expect(calls[0].trigger).toBe(inner);
+		expect(calls[1].el).toBe(menu);
+		expect(warned).toBe(true);
+	});
+
+	test("Shadow DOM: finds triggers inside open shadow roots and resolves targets in that root", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<div id="host"></div><dialog id="outer-dialog"></dialog>`;
+		const host = root.querySelector("#host");
+		const shadow = host.attachShadow({ mode: "open" });
+		shadow.innerHTML = `
+			<button data-command="showModal@#panel showModal@#outer-dialog saved">Open</button>
+			<dialog id="panel"></dialog>
+		`;
+		const button = shadow.querySelector("button");
+
+		const opened = [];
+		shadow.querySelector("#panel").showModal = () => opened.push("panel");
+		root.querySelector("#outer-dialog").showModal = () => opened.push("outer");
+		let saved = null;
+		button.addEventListener("command:saved", (e) => (saved = e.detail.trigger));
+
+		button.dispatchEvent(
+			new MouseEvent("click", { bubbles: true, composed: true }),
+		);
+
+		expect(opened).toEqual(["panel", "outer"]);
+		expect(saved).toBe(button);
+	});
+
+	test("Shadow DOM: component targets and methods cross the shadow boundary to the host", async () => {
+		let opened = 0;
+		class Picker {
+			static commands = ["open"];
+			open() {
+				opened += 1;
+			}
+		}
+		const components = initComponents({ picker: async () => Picker });
+		commandEngine = initCommands();
+
+		root.innerHTML = `<div data-component="picker" id="picker"></div>`;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		const host = root.querySelector("#picker");
+		const shadow = host.attachShadow({ mode: "open" });
+		shadow.innerHTML = `<button data-command="picker#open highlight@component">Open</button>`;
+
+		let highlighted = null;
+		host.addEventListener("command:highlight", (e) => (highlighted = e.target));
+
+		shadow
+			.querySelector("button")
+			.dispatchEvent(
+				new MouseEvent("click", { bubbles: true, composed: true }),
+			);
+		components.disconnect();
+
+		expect(opened).toBe(1);
+		expect(highlighted).toBe(host);
+	});
+
+	const pressKey = (el, key, init = {}) => {
+		const event = new KeyboardEvent("keydown", {
+			key,
+			bubbles: true,
+			cancelable: true,
+			composed: true,
+			...init,
+		});
+		el.dispatchEvent(event);
+		return event;
+	};
+
+	test("Hotkeys: mod+k runs the trigger's command like a click", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<button data-command="showModal" data-command-for="#search" data-command-hotkey="mod+k">Search</button>
+			<dialog id="search"></dialog>
+		`;
+		let opened = 0;
+		root.querySelector("#search").showModal = () => (opened += 1);
+
+		const modKey = /Mac|iP/.test(navigator.platform) ? "metaKey" : "ctrlKey";
+		pressKey(document.body, "k");
+		const event = pressKey(document.body, "k", { [modKey]: true });
+
+		expect(opened).toBe(1);
+		expect(event.defaultPrevented).toBe(true);
+	});
+
+	test("Hotkeys: supports sequences and alternatives", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<a href="/inbox" data-command="go" data-command-hotkey="g i, alt+i">Inbox</a>`;
+		const link = root.querySelector("a");
+
+		let fired = 0;
+		link.addEventListener("command:go", () => (fired += 1));
+
+		pressKey(document.body, "g");
+		pressKey(document.body, "x");
+		pressKey(document.body, "i");
+		expect(fired).toBe(0);
+
+		pressKey(document.body, "g");
+		pressKey(document.body, "i");
+		expect(fired).toBe(1);
+
+		pressKey(document.body, "i", { altKey: true });
+		expect(fired).toBe(2);
+	});
+
+	test("Hotkeys: plain keys are ignored while typing in inputs", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<input id="field">
+			<button id="help" data-command="help" data-command-hotkey="?">Help</button>
+			<button id="save" data-command="save" data-command-hotkey="ctrl+s">Save</button>
+		`;
+		const input = root.querySelector("#field");
+
+		const calls = [];
+		root.addEventListener("command:help", () => calls.push("help"));
+		root.addEventListener("command:save", () => calls.push("save"));
+
+		pressKey(input, "?", { shiftKey: true });
+		pressKey(input, "s", { ctrlKey: true });
+		pressKey(document.body, "?", { shiftKey: true });
+
+		expect(calls).toEqual(["save", "help"]);
+	});
+
+	test("Hotkeys: conflicting hotkeys warn and only run the first trigger", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<button id="first" data-command="first" data-command-hotkey="ctrl+j">First</button>
+			<button id="second" data-command="second" data-command-hotkey="ctrl+j">Second</button>
+		`;
+		const calls = [];
+		root.addEventListener("command:first", () => calls.push("first"));
+		root.addEventListener("command:second", () => calls.push("second"));
+
+		const originalWarn = console.warn;
+		let warnings = 0;
+		console.warn = () => (warnings += 1);
+		pressKey(document.body, "j", { ctrlKey: true });
+		pressKey(document.body, "j", { ctrlKey: true });
+		console.warn = originalWarn;
+
+		expect(calls).toEqual(["first", "first"]);
+		expect(warnings).toBe(1);
+	});
+
+	test("Hotkeys: disconnect() removes the hotkey listener", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `<button data-command="save" data-command-hotkey="ctrl+s">Save</button>`;
+		let fired = 0;
+		root.addEventListener("command:save", () => (fired += 1));
+
+		commandEngine.disconnect();
+		pressKey(document.body, "s", { ctrlKey: true });
+
+		expect(fired).toBe(0);
+	});
+
+	test("Hotkeys: follow the delegated keydown event", () => {
+		commandEngine = initCommands({ events: ["click"] });
+		root.innerHTML = `<button data-command="save" data-command-hotkey="ctrl+s">Save</button>`;
+		let fired = 0;
+		root.addEventListener("command:save", () => (fired += 1));
+
+		pressKey(document.body, "s", { ctrlKey: true });
+		commandEngine.listen("keydown");
+		pressKey(document.body, "s", { ctrlKey: true });
+		commandEngine.unlisten("keydown");
+		pressKey(document.body, "s", { ctrlKey: true });
+
+		expect(fired).toBe(1);
+	});
+
+	test("Hotkeys: finds triggers inside open shadow roots up front", () => {
+		// One shadow root exists before the engine starts, the other is attached later.
+		const early = document.createElement("div");
+		root.appendChild(early);
+		early.attachShadow({
+			mode: "open",
+		}).innerHTML = `<button data-command="search" data-command-hotkey="ctrl+k">Search</button>`;
+		commandEngine = initCommands();
+		const late = document.createElement("div");
+		root.appendChild(late);
+		late.attachShadow({
+			mode: "open",
+		}).innerHTML = `<button data-command="help" data-command-hotkey="?">Help</button>`;
+
+		const calls = [];
+		early.shadowRoot
+			.querySelector("button")
+			.addEventListener("command:search", () => calls.push("search"));
+		late.shadowRoot
+			.querySelector("button")
+			.addEventListener("command:help", () => calls.push("help"));
+
+		pressKey(document.body, "k", { ctrlKey: true });
+		pressKey(document.body, "?");
+
+		expect(calls).toEqual(["search", "help"]);
+	});
+
+	test("Placeholders: resolve trigger, event and target values at dispatch time", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<input id="q" data-id="42" data-command="keydown.enter->search"
+				data-command-for="#results"
+				data-command-config="query: '$value', key: '$event.key', id: '$data.id', size: '$target.dataset.size', price: '$$5', other: '$unknown'">
+			<div id="results" data-size="10"></div>
+		`;
+		const input = root.querySelector("input");
+		input.value = "shoes";
+
+		let config = null;
+		root.addEventListener("command:search", (e) => (config = e.detail.config));
+
+		input.dispatchEvent(
+			new KeyboardEvent("keydown", { key: "Enter", bubbles: true }),
+		);
+
+		expect(config).toEqual({
+			query: "shoes",
+			key: "Enter",
+			id: "42",
+			size: "10",
+			price: "$5",
+			other: "$unknown",
+		});
+	});
+
+	test("Placeholders: $checked and $form, also inside method args", () => {
+		commandEngine = initCommands({ allowedMethods: ["apply"] });
+		root.innerHTML = `
+			<form>
+				<input name="email" value="a@b.c">
+				<input type="checkbox" data-command="apply" data-command-on="change" data-command-config="args: ['$checked', '$form']">
+			</form>
+		`;
+		const checkbox = root.querySelector("[type=checkbox]");
+		checkbox.checked = true;
+
+		let received = null;
+		checkbox.apply = (...args) => (received = args);
+
+		checkbox.dispatchEvent(new Event("change", { bubbles: true }));
+
+		expect(received[0]).toBe(true);
+		expect(received[1]).toBeInstanceOf(FormData);
+		expect(received[1].get("email")).toBe("a@b.c");
+	});
+
+	test("Forms: submit sends FormData with the submitter as detail.data", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<form data-command="save" data-command-on="submit">
+				<input name="title" value="Hello">
+				<button name="intent" value="publish">Publish</button>
+			</form>
+		`;
+		const form = root.querySelector("form");
+
+		let data = null;
+		form.addEventListener("command:save", (e) => (data = e.detail.data));
+
+		const event = new Event("submit", { bubbles: true, cancelable: true });
+		event.submitter = root.querySelector("button");
+		form.dispatchEvent(event);
+
+		expect(event.defaultPrevented).toBe(true);
+		expect(data).toBeInstanceOf(FormData);
+		expect(data.get("title")).toBe("Hello");
+		expect(data.get("intent")).toBe("publish");
+	});
+
+	test("Forms: invalid forms cancel the command unless novalidate is set", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<form id="strict" data-command="save" data-command-on="submit"><input name="email" required></form>
+			<form id="loose" data-command="save" data-command-on="submit" novalidate><input name="email" required></form>
+		`;
+		const strict = root.querySelector("#strict");
+		const loose = root.querySelector("#loose");
+
+		let reported = 0;
+		strict.reportValidity = () => {
+			reported += 1;
+			return false;
+		};
+		loose.reportValidity = () => false;
+
+		const saved = [];
+		root.addEventListener("command:save", (e) => saved.push(e.target.id));
+
+		const event = new Event("submit", { bubbles: true, cancelable: true });
+		strict.dispatchEvent(event);
+		loose.dispatchEvent(
+			new Event("submit", { bubbles: true, cancelable: true }),
+		);
+
+		expect(reported).toBe(1);
+		expect(event.defaultPrevented).toBe(true);
+		expect(saved).toEqual(["loose"]);
+	});
+
+	test("Forms: requestSubmit, reset and validity methods are allowed by default", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<form id="f">
+				<input name="title" value="Draft">
+				<button type="submit" id="send" name="intent" value="send">Send</button>
+			</form>
+			<button id="submit" data-command="requestSubmit@#f" data-command-config='{"source":"toolbar","submitter":"#send"}'>Go</button>
+			<button id="reset" data-command="reset@#f" data-command-config='{"source":"toolbar"}'>Reset</button>
+		`;
+		const form = root.querySelector("form");
+		const input = form.querySelector("input");
+		const submitters = [];
+		const errors = [];
+		form.addEventListener("submit", (e) => {
+			e.preventDefault();
+			submitters.push(e.submitter?.id);
+		});
+		root.addEventListener("command:error", (e) => errors.push(e.detail.error));
+
+		root.querySelector("#submit").click();
+		input.value = "Edited";
+		root.querySelector("#reset").click();
+
+		expect(submitters).toEqual(["send"]);
+		expect(input.value).toBe("Draft");
+		expect(errors).toEqual([]);
+	});
+
+	test("Built-ins: class and attribute commands mutate the resolved targets", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<div class="card" id="card">
+				<button data-command="toggle-class(class: 'open active')@closest:.card set-attribute(name: 'aria-expanded', value: true) toggle-attribute(name: 'hidden')@#panel">Toggle</button>
+			</div>
+			<div id="panel"></div>
+			<button id="clear" data-command="remove-class(class: 'active')@all:.card add-class(class: 'done')@#panel">Clear</button>
+		`;
+		const card = root.querySelector("#card");
+		const button = card.querySelector("button");
+		const panel = root.querySelector("#panel");
+
+		button.click();
+		expect(card.className).toBe("card open active");
+		expect(button.getAttribute("aria-expanded")).toBe("true");
+		expect(panel.hidden).toBe(true);
+
+		root.querySelector("#clear").click();
+		expect(card.className).toBe("card open");
+		expect(panel.classList.contains("done")).toBe(true);
+	});
+
+	test("Built-ins: remove-element and clone-template", () => {
+		commandEngine = initCommands({
+			builtins: ["remove-element", "clone-template"],
+		});
+		root.innerHTML = `
+			<ul id="list">
+				<li><span>Row</span><button data-command="remove-element" data-command-for="closest:li">x</button></li>
+			</ul>
+			<template id="row"><li>New</li></template>
+			<button id="add" data-command="clone-template" data-command-for="#list" data-command-config="template: '#row'">Add</button>
+		`;
+		const list = root.querySelector("#list");
+
+		root.querySelector("#add").click();
+		root.querySelector("#add").click();
+		expect(list.querySelectorAll("li").length).toBe(3);
+
+		list.querySelector("li button").click();
+		expect(list.querySelectorAll("li").length).toBe(2);
+		expect(list.textContent.trim()).toBe("NewNew");
+	});
+
+	test("Built-ins: only allowed attributes change, structural ones are opt-in", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<a id="link" href="/home">Home</a>
+			<button id="attr" data-command="set-attribute(name: 'onclick', value: 'alert(1)') set-attribute(name: 'HREF', value: 'javascript:alert(1)')" data-command-for="#link">Go</button>
+			<button id="remove" data-command="remove-element" data-command-for="#link">x</button>
+		`;
+		const link = root.querySelector("#link");
+		const errors = [];
+		const events = [];
+		root.addEventListener("command:error", (e) => errors.push(e.detail.error));
+		root.addEventListener("command:remove-element", (e) =>
+			events.push(e.target.id),
+		);
+
+		root.querySelector("#attr").click();
+		expect(link.hasAttribute("onclick")).toBe(false);
+		expect(link.getAttribute("href")).toBe("/home");
+		expect(errors.length).toBe(1);
+		expect(errors[0].message).toContain("onclick");
+
+		root.querySelector("#remove").click();
+		expect(link.isConnected).toBe(true);
+		expect(events).toEqual(["link"]);
+	});
+
+	test("Built-ins: attribute allowlist blocks SVG animation values and can be extended", () => {
+		commandEngine = initCommands({
+			allowedAttributes: [...DEFAULT_ALLOWED_ATTRIBUTES, "title"],
+		});
+		root.innerHTML = `
+			<svg><a><set id="set" attributeName="href"></set></a></svg>
+			<p id="note"></p>
+			<button id="svg" data-command="set-attribute(name: 'to', value: 'javascript:alert(1)')" data-command-for="#set">Svg</button>
+			<button id="ok" data-command="set-attribute(name: 'title', value: 'Hi') set-attribute(name: 'aria-label', value: 'Note') toggle-attribute(name: 'hidden')" data-command-for="#note">Ok</button>
+		`;
+		const errors = [];
+		root.addEventListener("command:error", (e) => errors.push(e.detail.error));
+
+		root.querySelector("#svg").click();
+		root.querySelector("#ok").click();
+
+		expect(root.querySelector("#set").hasAttribute("to")).toBe(false);
+		expect(errors.length).toBe(1);
+		const note = root.querySelector("#note");
+		expect(note.getAttribute("title")).toBe("Hi");
+		expect(note.getAttribute("aria-label")).toBe("Note");
+		expect(note.hasAttribute("hidden")).toBe(true);
+	});
+
+	test("Built-ins: copy-text writes to the clipboard and can be disabled", async () => {
+		const written = [];
+		const clipboard = navigator.clipboard;
+		Object.defineProperty(navigator, "clipboard", {
+			configurable: true,
+			value: { writeText: async (text) => written.push(text) },
+		});
+
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<input id="token" value="secret">
+			<button data-command="copy-text" data-command-for="#token">Copy</button>
+		`;
+		const button = root.querySelector("button");
+
+		button.click();
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		commandEngine.disconnect();
+
+		commandEngine = initCommands({ builtins: false });
+		let fallback = false;
+		root.addEventListener("command:copy-text", () => (fallback = true));
+		button.click();
+
+		Object.defineProperty(navigator, "clipboard", {
+			configurable: true,
+			value: clipboard,
+		});
+
+		expect(written).toEqual(["secret"]);
+		expect(fallback).toBe(true);
+	});
+
+	test("Policy: methods are only allowed on matching elements", () => {
+		commandEngine = initCommands({
+			policy: { dialog: ["close"], "*": ["focus"] },
+		});
+		root.innerHTML = `
+			<dialog id="dlg"></dialog>
+			<details id="info"></details>
+			<input id="name">
+			<button id="a" data-command="close" data-command-for="#dlg">A</button>
+			<button id="b" data-command="close" data-command-for="#info">B</button>
+			<button id="c" data-command="focus" data-command-for="#name">C</button>
+		`;
+		const dialog = root.querySelector("#dlg");
+		const details = root.querySelector("#info");
+		let dialogClosed = 0;
+		dialog.close = () => dialogClosed++;
+		let detailsClosed = 0;
+		details.close = () => detailsClosed++;
+		let focused = 0;
+		root.querySelector("#name").focus = () => focused++;
+
+		const denied = [];
+		root.addEventListener("command:denied", (e) => denied.push(e.detail));
+
+		root.querySelector("#a").click();
+		root.querySelector("#b").click();
+		root.querySelector("#c").click();
+
+		expect(dialogClosed).toBe(1);
+		expect(detailsClosed).toBe(0);
+		expect(focused).toBe(1);
+		expect(denied.length).toBe(1);
+		expect(denied[0].action).toBe("close");
+		expect(denied[0].target).toBe(details);
+		expect(denied[0].reason).toBe("policy");
+	});
+
+	test("Policy: named handlers and built-ins need a matching entry", () => {
+		commandEngine = initCommands({
+			builtins: true,
+			policy: { dialog: ["close"], ".card": ["toggle-class"] },
+		});
+		root.innerHTML = `
+			<div class="card" id="card"></div>
+			<p id="keep"></p>
+			<button id="a" data-command="toggle-class(class: 'open')" data-command-for="#card">A</button>
+			<button id="b" data-command="remove-element" data-command-for="#keep">B</button>
+			<button id="c" data-command="toggle-class(class: 'open')" data-command-for="#keep">C</button>
+		`;
+		const denied = [];
+		root.addEventListener("command:denied", (e) =>
+			denied.push(`${e.detail.action}@${e.detail.target.id}`),
+		);
+
+		root.querySelector("#a").click();
+		root.querySelector("#b").click();
+		root.querySelector("#c").click();
+
+		expect(root.querySelector("#card").classList.contains("open")).toBe(true);
+		expect(root.querySelector("#keep").isConnected).toBe(true);
+		expect(root.querySelector("#keep").classList.contains("open")).toBe(false);
+		expect(denied).toEqual(["remove-element@keep", "toggle-class@keep"]);
+	});
+
+	test("Policy: component methods need a matching entry", async () => {
+		const calls = [];
+		class Dropdown {
+			static commands = ["open", "close"];
+			open() {
+				calls.push("open");
+			}
+			close() {
+				calls.push("close");
+			}
+		}
+		root.innerHTML = `
+			<div data-component="dropdown" class="menu">
+				<button id="open" data-command="dropdown#open">Open</button>
+				<button id="close" data-command="dropdown#close" data-command-for="closest:.menu">Close</button>
+			</div>
+		`;
+		// Markup present at init is scanned right away, no mutation delivery needed.
+		const components = initComponents({ dropdown: async () => Dropdown });
+		commandEngine = initCommands({
+			policy: { dialog: ["close"], ".menu": ["dropdown#close"] },
+		});
+		await whenComponent(root.querySelector(".menu"), "dropdown");
+		const denied = [];
+		root.addEventListener("command:denied", (e) =>
+			denied.push(`${e.detail.action}:${e.detail.reason}`),
+		);
+
+		root.querySelector("#open").click();
+		root.querySelector("#close").click();
+		components.disconnect();
+
+		expect(calls).toEqual(["close"]);
+		expect(denied).toEqual(["dropdown#open:policy"]);
+	});
+
+	test("Guard: a throwing predicate denies the command", () => {
+		const calls = [];
+		const logged = [];
+		const originalError = console.error;
+		console.error = (err) => logged.push(err);
+		commandEngine = initCommands({
+			commands: { log: () => calls.push(1) },
+			guard: () => {
+				throw new Error("boom");
+			},
+		});
+		root.innerHTML = `<button data-command="log">Go</button>`;
+		const denied = [];
+		root.addEventListener("command:denied", (e) =>
+			denied.push(e.detail.reason),
+		);
+
+		try {
+			root.querySelector("button").click();
+		} finally {
+			console.error = originalError;
+		}
+
+		expect(calls).toEqual([]);
+		expect(denied).toEqual(["guard"]);
+		expect(logged[0].message).toBe("boom");
+	});
+
+	test("Guard: predicate denies commands and stops the sequence", () => {
+		const calls = [];
+		commandEngine = initCommands({
+			commands: { log: (_target, config) => calls.push(config.step) },
+			guard: (trigger, _target, action) =>
+				!(trigger.closest("[data-untrusted]") && action !== "log"),
+		});
+		root.innerHTML = `
+			<div data-untrusted>
+				<button data-command="log(step: 1) remove-element@#keep log(step: 2)">Go</button>
+			</div>
+			<p id="keep"></p>
+		`;
+		const denied = [];
+		root.addEventListener("command:denied", (e) => denied.push(e.detail));
+
+		root.querySelector("button").click();
+
+		expect(calls).toEqual([1]);
+		expect(root.querySelector("#keep")).not.toBeNull();
+		expect(denied.length).toBe(1);
+		expect(denied[0].action).toBe("remove-element");
+		expect(denied[0].reason).toBe("guard");
+	});
+
+	test("Invokers: custom --commands run through the command pipeline", () => {
+		const calls = [];
+		commandEngine = initCommands({
+			invokers: true,
+			commands: {
+				refresh: (target, config, { trigger }) =>
+					calls.push([target.id, config.page, trigger.id]),
+			},
+		});
+		root.innerHTML = `
+			<button id="btn" commandfor="table" command="--refresh" data-command-config="page: 2">Refresh</button>
+			<button id="other" commandfor="table" command="--sort">Sort</button>
+			<div id="table"></div>
+		`;
+		let sorted = null;
+		root.addEventListener("command:sort", (e) => (sorted = e.detail.trigger));
+
+		root.querySelector("#btn").click();
+		root.querySelector("#other").click();
+
+		expect(calls).toEqual([["table", 2, "btn"]]);
+		expect(sorted).toBe(root.querySelector("#other"));
+	});
+
+	test("Invokers: polyfill runs built-in commands unless the command event is cancelled", () => {
+		commandEngine = initCommands({ invokers: true });
+		root.innerHTML = `
+			<button id="open" commandfor="dlg" command="show-modal">Open</button>
+			<button id="close" commandfor="dlg" command="close">Close</button>
+			<dialog id="dlg"></dialog>
+		`;
+		const dialog = root.querySelector("#dlg");
+		const calls = [];
+		dialog.showModal = () => {
+			calls.push("showModal");
+			dialog.open = true;
+		};
+		dialog.close = () => {
+			calls.push("close");
+			dialog.open = false;
+		};
+
+		root.querySelector("#close").click();
+		root.querySelector("#open").click();
+		root.querySelector("#open").click();
+
+		const cancel = (e) => e.preventDefault();
+		dialog.addEventListener("command", cancel);
+		root.querySelector("#close").click();
+		dialog.removeEventListener("command", cancel);
+		root.querySelector("#close").click();
+
+		expect(calls).toEqual(["showModal", "close"]);
+	});
+
+	test("Invokers: polyfill still runs when the button also has data-command", () => {
+		commandEngine = initCommands({ invokers: true });
+		root.innerHTML = `
+			<button id="open" data-command="app:opened" commandfor="dlg" command="show-modal">Open</button>
+			<button id="forced" data-command="click.prevent->app:opened" commandfor="dlg" command="show-modal">Open</button>
+			<dialog id="dlg"></dialog>
+		`;
+		const dialog = root.querySelector("#dlg");
+		const calls = [];
+		dialog.showModal = () => calls.push("showModal");
+		let opened = 0;
+		root.addEventListener("app:opened", () => (opened += 1));
+
+		root.querySelector("#forced").click();
+		root.querySelector("#open").click();
+
+		expect(opened).toBe(2);
+		expect(calls).toEqual(["showModal"]);
+	});
+
+	test("Invokers: disabled by default", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<button commandfor="box" command="--refresh">Refresh</button>
+			<div id="box"></div>
+		`;
+		let fired = false;
+		root.addEventListener("command:refresh", () => (fired = true));
+		root.querySelector("button").click();
+
+		expect(fired).toBe(false);
+	});
+
+	test("Blocked Triggers: disabled, inert and aria-disabled triggers are skipped", () => {
+		commandEngine = initCommands();
+		root.innerHTML = `
+			<a id="link" href="#" aria-disabled="true" data-command="save">Save</a>
+			<div inert><span id="inert" data-command="save">Save</span></div>
+			<fieldset disabled><div id="nested" data-command="save">Save</div></fieldset>
+			<div id="ok" data-command="save">Save</div>
+		`;
+		const saved = [];
+		root.addEventListener("command:save", (e) =>
+			saved.push(e.detail.trigger.id),
+		);
+		const blocked = [];
+		root.addEventListener("command:blocked", (e) =>
+			blocked.push([e.detail.trigger.id, e.detail.reason]),
+		);
+
+		for (const id of ["link", "inert", "nested", "ok"]) {
+			root.querySelector(`#${id}`).click();
+		}
+
+		expect(saved).toEqual(["ok"]);
+		expect(blocked).toEqual([
+			["link", "aria-disabled"],
+			["inert", "inert"],
+			["nested", "disabled"],
+		]);
+	});
+
+	test("Blocked Triggers: checks are configurable", () => {
+		commandEngine = initCommands({ blockedBy: [".is-loading"] });
+		root.innerHTML = `
+			<div id="aria" aria-disabled="true" data-command="save">Save</div>
+			<div class="is-loading"><div id="loading" data-command="save">Save</div></div>
+		`;
+		const saved = [];
+		root.addEventListener("command:save", (e) =>
+			saved.push(e.detail.trigger.id),
+		);
+		let reason = null;
+		root.addEventListener("command:blocked", (e) => (reason = e.detail.reason));
+
+		root.querySelector("#aria").click();
+		root.querySelector("#loading").click();
+		commandEngine.disconnect();
+
+		commandEngine = initCommands({ blockedBy: false });
+		root.querySelector("#loading").click();
+
+		expect(saved).toEqual(["aria", "loading"]);
+		expect(reason).toBe(".is-loading");
+	});
+
+	test("Runtime Events: listen and unlisten change the delegated event types", () => {
+		commandEngine = initCommands({ events: ["click"] });
+		root.innerHTML = `
+			<div id="card" data-command="preview" data-command-on="pointerenter">
+				<span id="inner">Card</span>
+			</div>
+		`;
+		const card = root.querySelector("#card");
+		let previews = 0;
+		root.addEventListener("command:preview", () => previews++);
+		const enter = (el) => el.dispatchEvent(new Event("pointerenter"));
+
+		enter(card);
+		expect(commandEngine.listen("pointerenter")).toBe(true);
+		expect(commandEngine.listen("pointerenter")).toBe(false);
+		enter(card);
+		// Non-bubbling events only concern their own target.
+		enter(root.querySelector("#inner"));
+		expect(commandEngine.unlisten("pointerenter")).toBe(true);
+		expect(commandEngine.unlisten("pointerenter")).toBe(false);
+		enter(card);
+
+		commandEngine.listen("pointerenter");
+		commandEngine.disconnect();
+		enter(card);
+		expect(commandEngine.listen("pointerenter")).toBe(false);
+
+		expect(previews).toBe(1);
+	});
+
+	test("Runtime Events: warns once about undelegated data-command-on events", () => {
+		commandEngine = initCommands({ events: ["click"] });
+		root.innerHTML = `
+			<button data-command="preview" data-command-on="click mouseover">A</button>
+			<button data-command="mouseover->highlight">B</button>
+		`;
+		const originalWarn = console.warn;
+		const warnings = [];
+		console.warn = (message) => warnings.push(message);
+		const buttons = root.querySelectorAll("button");
+		buttons[0].click();
+		buttons[1].click();
+		console.warn = originalWarn;
+
+		expect(warnings.length).toBe(1);
+		expect(warnings[0]).toContain("'mouseover'");
+	});
 });
@@ -1,6 +1,11 @@
 import { expect, test, describe, beforeEach, afterEach } from "bun:test";
 import { GlobalRegistrator } from "@happy-dom/global-registrator";
-import initComponents from "../src/initComponents.js";
+import initComponents, {
+	getComponent,
+	getComponents,
+	getParentComponent,
+	whenComponent,
+} from "../src/initComponents.js";
 
 if (!globalThis.window) {
 	GlobalRegistrator.register();
@@ -18,6 +23,25 @@ class DummyComponent {
 	}
 }
 
+/**
+ * Resolves once `count` events of a type have been dispatched on (or bubbled to) a target.
+ * @param {EventTarget} target
+ * @param {string} type
+ * @param {number} [count=1]
+ * @returns {Promise<Event[]>}
+ */
+const waitForEvents = (target, type, count = 1) =>
+	new Promise((resolve) => {
+		const events = [];
+		const listener = (event) => {
+			events.push(event);
+			if (events.length < count) return;
+			target.removeEventListener(type, listener);
+			resolve(events);
+		};
+		target.addEventListener(type, listener);
+	});
+
 describe("initComponents.js Component Initializer", () => {
 	let root;
 	let engine;
@@ -199,4 +223,566 @@ describe("initComponents.js Component Initializer", () => {
 
 		engine.disconnect();
 	});
+
+	test("Retry Failed: back-to-back calls retry a pending component once", async () => {
+		let calls = 0;
+		let release;
+		const pending = new Promise((resolve) => {
+			release = resolve;
+		});
+		engine = initComponents(null, {
+			resolve: () => {
+				calls++;
+				if (calls === 1) throw new Error("offline");
+				return pending;
+			},
+			onError: () => {},
+		});
+
+		const failed = new Promise((resolve) =>
+			root.addEventListener("component:failed", resolve, { once: true }),
+		);
+		root.innerHTML = `<div data-component="late"></div>`;
+		const el = root.firstElementChild;
+		await failed;
+
+		expect([engine.retryFailed(root), engine.retryFailed(root)]).toEqual([
+			1, 0,
+		]);
+		release(TrackedComponent);
+		await whenComponent(el, "late");
+		await new Promise((resolve) => setTimeout(resolve, 0));
+
+		expect(calls).toBe(2);
+		expect(instances.length).toBe(1);
+	});
+
+	test("Multiple Components: each name gets its own instance, config and signal", async () => {
+		class Tooltip extends TrackedComponent {}
+		class Validator extends TrackedComponent {}
+		engine = initComponents({
+			tooltip: async () => ({ default: Tooltip }),
+			validator: async () => ({ default: Validator }),
+		});
+
+		root.innerHTML = `
+			<input
+				data-component="tooltip validator"
+				data-component-config="required: true"
+				data-component-tooltip-config="text: 'Hello'"
+			>
+		`;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(instances.length).toBe(2);
+		const tooltip = instances.find((i) => i instanceof Tooltip);
+		const validator = instances.find((i) => i instanceof Validator);
+		expect(tooltip.element).toBe(validator.element);
+		expect(tooltip.config).toEqual({
+			text: "Hello",
+			signal: tooltip.config.signal,
+		});
+		expect(validator.config.required).toBe(true);
+		expect(tooltip.config.signal).not.toBe(validator.config.signal);
+
+		root.innerHTML = "";
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(tooltip.destroyed).toBe(true);
+		expect(validator.destroyed).toBe(true);
+		expect(tooltip.config.signal.aborted).toBe(true);
+		expect(validator.config.signal.aborted).toBe(true);
+	});
+
+	test("Multiple Components: only failed components are retried", async () => {
+		window.TrackedComponent = TrackedComponent;
+		window.LateComponent = undefined;
+		engine = initComponents();
+
+		root.innerHTML = `<div data-component="TrackedComponent LateComponent"></div>`;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(instances.length).toBe(1);
+
+		window.LateComponent = class extends TrackedComponent {};
+		expect(engine.retryFailed(root)).toBe(1);
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(instances.length).toBe(2);
+		expect(instances[0].destroyed).toBe(false);
+		expect(engine.retryFailed(root)).toBe(0);
+	});
+
+	test("Instance Lookup: getComponent, whenComponent and getComponents", async () => {
+		class Tooltip extends TrackedComponent {}
+		// Markup present up front is mounted synchronously by the initial scan.
+		root.innerHTML = `
+			<div id="a" data-component="tracked tooltip"></div>
+			<section><div id="b" data-component="tracked"></div></section>
+		`;
+		engine = initComponents({
+			tracked: async () => TrackedComponent,
+			tooltip: async () => Tooltip,
+		});
+		const a = root.querySelector("#a");
+		const b = root.querySelector("#b");
+		expect(getComponent(a, "tracked")).toBeNull();
+
+		const waiting = whenComponent(a, "tooltip");
+		const first = whenComponent(a);
+		await Promise.all([waiting, whenComponent(a, "tracked"), whenComponent(b)]);
+
+		expect(await waiting).toBeInstanceOf(Tooltip);
+		expect(getComponent(a, "tooltip")).toBe(await waiting);
+		expect(await first).toBe(getComponent(a));
+		expect(getComponent(b, "tracked")).toBeInstanceOf(TrackedComponent);
+
+		const all = getComponents(root);
+		expect(all.map((entry) => entry.name).sort()).toEqual([
+			"tooltip",
+			"tracked",
+			"tracked",
+		]);
+		expect(getComponents(root, "tooltip").length).toBe(1);
+		expect(getComponents(root.querySelector("section"))[0].el).toBe(b);
+
+		engine.evaluate([a, b], false);
+		expect(getComponent(a, "tracked")).toBeNull();
+		expect(getComponents(root).length).toBe(0);
+	});
+
+	test("Instance Lookup: whenComponent settles with null on failure and teardown", async () => {
+		root.innerHTML = `
+			<div id="a" data-component="broken tracked"></div>
+			<div id="b" data-component="slow"></div>
+		`;
+		engine = initComponents(null, {
+			resolve: (moduleName) => {
+				if (moduleName === "broken") throw new Error("boom");
+				if (moduleName === "tracked") return TrackedComponent;
+				return new Promise(() => {});
+			},
+			onError: () => {},
+		});
+		const a = root.querySelector("#a");
+		const b = root.querySelector("#b");
+
+		const [broken, first] = await Promise.all([
+			whenComponent(a, "broken"),
+			whenComponent(a),
+		]);
+		expect(broken).toBeNull();
+		expect(first).toBeInstanceOf(TrackedComponent);
+
+		const slow = whenComponent(b, "slow");
+		const any = whenComponent(b);
+		engine.evaluate(b, false);
+		expect(await slow).toBeNull();
+		expect(await any).toBeNull();
+	});
+
+	test("Instance Lookup: a disconnected engine drops its instances from the lookups", async () => {
+		root.innerHTML = `
+			<div id="a" data-component="tracked"></div>
+			<div id="b" data-component="slow"></div>
+		`;
+		engine = initComponents(null, {
+			resolve: (moduleName) =>
+				moduleName === "tracked" ? TrackedComponent : new Promise(() => {}),
+		});
+		const a = root.querySelector("#a");
+		const instance = await whenComponent(a, "tracked");
+		const slow = whenComponent(root.querySelector("#b"), "slow");
+
+		engine.disconnect();
+		engine = null;
+
+		// The live instance keeps running, it is only no longer tracked.
+		expect(instance.destroyed).toBe(false);
+		expect(getComponent(a, "tracked")).toBeNull();
+		expect(getComponents(root).length).toBe(0);
+		expect(await slow).toBeNull();
+	});
+
+	test("Lifecycle Events: resolving, connected, failed and disconnected", async () => {
+		const boom = new Error("boom");
+		engine = initComponents({
+			tracked: async () => TrackedComponent,
+			broken: async () => {
+				throw boom;
+			},
+		});
+		const originalError = console.error;
+		console.error = () => {};
+
+		const events = [];
+		const record = (e) => events.push([e.type, e.detail.name, e.detail]);
+		for (const type of ["resolving", "connected", "failed", "disconnected"]) {
+			root.addEventListener(`component:${type}`, record);
+		}
+
+		const settled = Promise.all([
+			waitForEvents(root, "component:connected"),
+			waitForEvents(root, "component:failed"),
+		]);
+		root.innerHTML = `<div data-component="tracked broken"></div>`;
+		const el = root.firstElementChild;
+		await settled;
+		console.error = originalError;
+
+		// Removal detaches the element from root, so listen on the element itself.
+		el.addEventListener("component:disconnected", record);
+		const gone = waitForEvents(el, "component:disconnected");
+		el.remove();
+		await gone;
+
+		expect(events.map(([type, name]) => `${type}:${name}`)).toEqual([
+			"component:resolving:tracked",
+			"component:resolving:broken",
+			"component:connected:tracked",
+			"component:failed:broken",
+			"component:disconnected:tracked",
+		]);
+		expect(events[2][2].instance).toBe(instances[0]);
+		expect(events[3][2].error).toBe(boom);
+		expect(events[4][2].instance).toBe(instances[0]);
+	});
+
+	test("Lifecycle Events: unresolved modules fail with an error", async () => {
+		engine = initComponents(null, { strict: true });
+		const originalWarn = console.warn;
+		console.warn = () => {};
+
+		let detail = null;
+		root.addEventListener("component:failed", (e) => (detail = e.detail));
+		root.innerHTML = `<div data-component="Missing"></div>`;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		console.warn = originalWarn;
+
+		expect(detail.name).toBe("Missing");
+		expect(detail.error).toBeInstanceOf(Error);
+	});
+
+	test("Reactive Config: calls update with the new and old config", async () => {
+		const updates = [];
+		let updated = null;
+		const nextUpdate = () =>
+			new Promise((resolve) => {
+				updated = resolve;
+			});
+		class Updatable extends TrackedComponent {
+			update(newConfig, oldConfig) {
+				updates.push([newConfig, oldConfig]);
+				if (updated) updated();
+			}
+		}
+		engine = initComponents({ updatable: async () => Updatable });
+
+		root.innerHTML = `<div data-component="updatable" data-component-config="page: 1"></div>`;
+		const el = root.firstElementChild;
+		await whenComponent(el, "updatable");
+
+		let update = nextUpdate();
+		el.setAttribute("data-component-config", "page: 2");
+		el.setAttribute("data-component-config", "page: 3");
+		el.setAttribute("title", "ignored");
+		await update;
+
+		expect(instances.length).toBe(1);
+		expect(updates.length).toBe(1);
+		expect(updates[0][0].page).toBe(3);
+		expect(updates[0][1].page).toBe(1);
+		expect(updates[0][0].signal).toBe(instances[0].config.signal);
+
+		update = nextUpdate();
+		el.setAttribute("data-component-updatable-config", "page: 4");
+		await update;
+		expect(updates.length).toBe(2);
+		expect(updates[1][0].page).toBe(4);
+	});
+
+	test("Reactive Config: re-creates components without update when configured", async () => {
+		window.TrackedComponent = TrackedComponent;
+		engine = initComponents(null, { recreateOnConfigChange: true });
+
+		root.innerHTML = `<div data-component="TrackedComponent" data-component-config="page: 1"></div>`;
+		const el = root.firstElementChild;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		el.setAttribute("data-component-config", "page: 2");
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(instances.length).toBe(2);
+		expect(instances[0].destroyed).toBe(true);
+		expect(instances[0].config.signal.aborted).toBe(true);
+		expect(instances[1].config.page).toBe(2);
+		engine.disconnect();
+
+		// Without the option, the instance is left alone.
+		root.innerHTML = "";
+		engine = initComponents();
+		root.innerHTML = `<div data-component="TrackedComponent" data-component-config="page: 1"></div>`;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		root.firstElementChild.setAttribute("data-component-config", "page: 2");
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(instances.length).toBe(3);
+		expect(instances[2].config.page).toBe(1);
+	});
+
+	test("Attribute Changes: tagging, renaming and untagging an element", async () => {
+		class Tooltip extends TrackedComponent {}
+		class Validator extends TrackedComponent {}
+		engine = initComponents({
+			tooltip: async () => Tooltip,
+			validator: async () => Validator,
+		});
+
+		root.innerHTML = `<input>`;
+		const el = root.firstElementChild;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(instances.length).toBe(0);
+
+		el.setAttribute("data-component", "tooltip");
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(instances.length).toBe(1);
+		const tooltip = instances[0];
+
+		el.setAttribute("data-component", "tooltip validator");
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(instances.length).toBe(2);
+		expect(tooltip.destroyed).toBe(false);
+
+		el.setAttribute("data-component", "validator");
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(tooltip.destroyed).toBe(true);
+		expect(tooltip.config.signal.aborted).toBe(true);
+		expect(instances[1].destroyed).toBe(false);
+
+		el.removeAttribute("data-component");
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(instances[1].destroyed).toBe(true);
+		expect(instances[1].config.signal.aborted).toBe(true);
+
+		el.setAttribute("data-component", "tooltip");
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(instances.length).toBe(3);
+		expect(instances[2]).toBeInstanceOf(Tooltip);
+
+		el.remove();
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(instances[2].destroyed).toBe(true);
+	});
+
+	test("Ancestry: parents are created first and notified about children", async () => {
+		const order = [];
+		const hooks = [];
+		class Parent extends TrackedComponent {
+			constructor(element, config) {
+				super(element, config);
+				order.push("parent");
+			}
+			childConnected(child, { name }) {
+				hooks.push(["connected", name, child]);
+			}
+			childDisconnected(child, { name }) {
+				hooks.push(["disconnected", name, child]);
+			}
+		}
+		class Child extends TrackedComponent {
+			constructor(element, config) {
+				super(element, config);
+				order.push("child");
+				this.parent = getParentComponent(element);
+				this.namedParent = getParentComponent(element, "parent");
+				this.missing = getParentComponent(element, "other");
+			}
+		}
+		engine = initComponents({
+			// The parent resolves last, its child must still wait for it.
+			parent: () =>
+				new Promise((resolve) => setTimeout(() => resolve(Parent), 20)),
+			child: async () => Child,
+		});
+
+		root.innerHTML = `
+			<div data-component="parent">
+				<section><div id="child" data-component="child"></div></section>
+			</div>
+		`;
+		await new Promise((resolve) => setTimeout(resolve, 40));
+
+		expect(order).toEqual(["parent", "child"]);
+		const [parent, child] = instances;
+		expect(child.parent).toBe(parent);
+		expect(child.namedParent).toBe(parent);
+		expect(child.missing).toBeNull();
+		expect(hooks).toEqual([["connected", "child", child]]);
+
+		root.querySelector("#child").remove();
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(hooks[1]).toEqual(["disconnected", "child", child]);
+	});
+
+	test("Error Handling: timed out and failed resolutions are retried with backoff", async () => {
+		let attempts = 0;
+		const errors = [];
+		engine = initComponents(
+			{
+				// Hangs, then fails, then loads.
+				flaky: () => {
+					attempts++;
+					if (attempts === 1) return new Promise(() => {});
+					if (attempts === 2) return Promise.reject(new Error("chunk"));
+					return Promise.resolve({ default: TrackedComponent });
+				},
+			},
+			{
+				timeout: 10,
+				maxAttempts: 3,
+				retryDelay: 5,
+				onError: (_el, _name, error) => errors.push(error),
+			},
+		);
+
+		root.innerHTML = `<div data-component="flaky"></div>`;
+		await new Promise((resolve) => setTimeout(resolve, 60));
+
+		expect(attempts).toBe(3);
+		expect(instances.length).toBe(1);
+		expect(errors).toEqual([]);
+	});
+
+	test("Error Handling: children wait for a parent that is retried", async () => {
+		const order = [];
+		let attempts = 0;
+		class Parent extends TrackedComponent {
+			constructor(element, config) {
+				super(element, config);
+				order.push("parent");
+			}
+		}
+		class Child extends TrackedComponent {
+			constructor(element, config) {
+				super(element, config);
+				order.push("child");
+				this.parent = getParentComponent(element, "parent");
+			}
+		}
+		engine = initComponents(
+			{
+				parent: async () => {
+					attempts++;
+					if (attempts === 1) throw new Error("chunk");
+					return Parent;
+				},
+				child: async () => Child,
+			},
+			{ maxAttempts: 2, retryDelay: 5 },
+		);
+
+		root.innerHTML = `
+			<div data-component="parent">
+				<div id="child" data-component="child"></div>
+			</div>
+		`;
+		const child = await whenComponent(root.querySelector("#child"), "child");
+
+		expect(attempts).toBe(2);
+		expect(order).toEqual(["parent", "child"]);
+		expect(child.parent).toBe(instances[0]);
+	});
+
+	test("Error Handling: children stop waiting for a parent that never resolves", async () => {
+		const warnings = [];
+		const originalWarn = console.warn;
+		console.warn = (message) => warnings.push(message);
+
+		root.innerHTML = `
+			<div data-component="parent">
+				<div id="child" data-component="child"></div>
+			</div>
+		`;
+		// No `timeout`: the parent resolution hangs forever.
+		engine = initComponents(
+			{
+				parent: () => new Promise(() => {}),
+				child: async () => TrackedComponent,
+			},
+			{ parentTimeout: 10 },
+		);
+		const child = await whenComponent(root.querySelector("#child"), "child");
+		console.warn = originalWarn;
+
+		expect(child).toBe(instances[0]);
+		expect(warnings).toEqual([
+			"[liveinit] 'child' stopped waiting for its ancestors after 10ms.",
+		]);
+	});
+
+	test("Error Handling: onError gets the last failure and can render a fallback", async () => {
+		let attempts = 0;
+		const calls = [];
+		engine = initComponents(
+			{
+				broken: () => {
+					attempts++;
+					return Promise.reject(new Error(`attempt ${attempts}`));
+				},
+			},
+			{
+				maxAttempts: 2,
+				retryDelay: 5,
+				onError: (el, name, error, { phase }) => {
+					calls.push([name, error.message, phase]);
+					el.textContent = "Unavailable";
+				},
+			},
+		);
+
+		let failed = null;
+		root.addEventListener("component:failed", (e) => (failed = e.detail));
+		root.innerHTML = `<div data-component="broken"></div>`;
+		await new Promise((resolve) => setTimeout(resolve, 40));
+
+		expect(attempts).toBe(2);
+		expect(calls).toEqual([["broken", "attempt 2", "resolve"]]);
+		expect(failed.error.message).toBe("attempt 2");
+		expect(root.firstElementChild.textContent).toBe("Unavailable");
+	});
+
+	test("Error Handling: constructor exceptions are reported separately", async () => {
+		const boom = new Error("boom");
+		class Exploding {
+			constructor() {
+				throw boom;
+			}
+		}
+		let attempts = 0;
+		const calls = [];
+		engine = initComponents(
+			{
+				exploding: async () => {
+					attempts++;
+					return Exploding;
+				},
+			},
+			{
+				maxAttempts: 3,
+				retryDelay: 5,
+				onError: (_el, _name, error, { phase }) => calls.push([error, phase]),
+			},
+		);
+
+		const events = [];
+		root.addEventListener("component:failed", () => events.push("failed"));
+		root.addEventListener("component:error", (e) =>
+			events.push(e.detail.error),
+		);
+		root.innerHTML = `<div data-component="exploding"></div>`;
+		await new Promise((resolve) => setTimeout(resolve, 30));
+
+		expect(attempts).toBe(1);
+		expect(calls).toEqual([[boom, "construct"]]);
+		expect(events).toEqual([boom]);
+	});
 });